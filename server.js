@@ -7,14 +7,35 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import {
+    CallToolRequestSchema,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
+import { appendFileSync, createReadStream, existsSync, lstatSync, mkdirSync, readFileSync, realpathSync, rmSync, watch } from 'fs';
+import os from 'os';
 import path from 'path';
-import { exec } from 'child_process';
-import { fileURLToPath } from 'url';
+import http from 'http';
+import { exec, spawn } from 'child_process';
+import { createHash, timingSafeEqual } from 'crypto';
+import { EventEmitter } from 'events';
+import { builtinModules } from 'module';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
 import simpleGit from 'simple-git';
 import { Octokit } from '@octokit/rest';
-import { glob } from 'glob';
+import { minimatch } from 'minimatch';
+import Parser from 'tree-sitter';
+import JavaScript from 'tree-sitter-javascript';
+import TypeScript from 'tree-sitter-typescript';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -23,11 +44,72 @@ dotenv.config();
 // Setup directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const SANDBOX_DIR = path.resolve(process.env.PROJECT_DIR || process.cwd());
+const PROJECT_DIR = path.resolve(process.env.PROJECT_DIR || process.cwd());
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
 const SHELL_MODE = process.env.SHELL_MODE || 'restricted';
+const STATE_DIR = path.resolve(process.env.JOURNAL_DIR || path.join(os.tmpdir(), 'codecraft-mcp'));
+const JOURNAL_DIR = path.join(STATE_DIR, `session-${Date.now()}-${process.pid}`);
+const JOB_BUFFER_CHARS = parseInt(process.env.JOB_BUFFER_CHARS, 10) || 1024 * 1024;
+const READ_MAX_BYTES = parseInt(process.env.READ_MAX_BYTES, 10) || 512 * 1024;
+const READ_CHUNK_BYTES = 64 * 1024;
+const JOURNAL_MAX_BYTES = (parseInt(process.env.JOURNAL_MAX_MB, 10) || 100) * 1024 * 1024;
 
-// Restricted commands whitelist for security
+// Transport: 'stdio' for a desktop client that launches the server, 'sse' to serve several clients over HTTP
+const MCP_TRANSPORT = process.env.MCP_TRANSPORT || 'stdio';
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+const HTTP_PORT = parseInt(process.env.HTTP_PORT, 10) || 3000;
+const MCP_AUTH_TOKEN = process.env.MCP_AUTH_TOKEN || '';
+
+const POLICY_FILE = process.env.POLICY_FILE || path.join('.codecraft', 'policy.json');
+
+// Audit trail of every tool call, as JSONL rotated by size; kept outside the project by default so git never sees it
+const AUDIT_LOG = process.env.AUDIT_LOG || '';
+const AUDIT_DIR = path.join(STATE_DIR, 'audit');
+const AUDIT_MAX_BYTES = (parseInt(process.env.AUDIT_LOG_MAX_MB, 10) || 10) * 1024 * 1024;
+const AUDIT_MAX_FILES = parseInt(process.env.AUDIT_LOG_FILES, 10) || 5;
+const AUDIT_MAX_ARG_CHARS = 2000;
+const AUDIT_PATH_KEYS = ['file_path', 'file_paths', 'source_path', 'destination_path', 'dir_path', 'working_dir', 'files'];
+
+// Secrets scrubbed from audited arguments: by argument name, then by value shape
+const SECRET_KEY_PATTERN = /(token|secret|passw(or)?d|api[_-]?key|^auth$|authorization|credential|private[_-]?key)/i;
+const SECRET_VALUE_PATTERNS = [
+    [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, '[REDACTED]'],
+    [/\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g, '[REDACTED]'],
+    [/\b(sk|rk)-[A-Za-z0-9_-]{20,}/g, '[REDACTED]'],
+    [/\bAKIA[0-9A-Z]{16}\b/g, '[REDACTED]'],
+    [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, '[REDACTED]'],
+    [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, '$1 [REDACTED]'],
+    [/\b([A-Za-z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY)[A-Za-z0-9_]*\s*[=:]\s*)("[^"]*"|'[^']*'|\S+)/gi, '$1[REDACTED]']
+];
+// File discovery: ignore files honoured in every directory, and rules that apply beneath all of them
+const IGNORE_FILES = ['.gitignore', '.codecraftignore'];
+const DEFAULT_IGNORE_RULES = ['node_modules/'];
+
+// Project-wide search
+const SEARCH_CONCURRENCY = 16;
+const SEARCH_DEFAULT_EXCLUDE = ['**/*.min.js'];
+const SEARCH_MAX_FILE_BYTES = (parseInt(process.env.SEARCH_MAX_FILE_MB, 10) || 4) * 1024 * 1024;
+const SEARCH_INDEX_REFRESH_MS = 500;
+const SEARCH_INDEX_MAX_WATCHED_DIRS = 4096;
+const SEARCH_INDEX_MAX_BYTES = (parseInt(process.env.SEARCH_INDEX_MAX_MB, 10) || 64) * 1024 * 1024;
+const SEARCH_INDEX_IDLE_MS = 15 * 60 * 1000;
+
+// MCP resources
+const RESOURCE_PAGE_SIZE = 500;
+const RESOURCE_UPDATE_DEBOUNCE_MS = 100;
+
+// MCP prompts: how much live data is embedded before truncating
+const PROMPT_MAX_DIFF_CHARS = 60000;
+const PROMPT_MAX_FILE_CHARS = 60000;
+const PROMPT_MAX_OUTPUT_CHARS = 20000;
+const PROMPT_TEST_TIMEOUT_SECONDS = 300;
+
+// Symlinks inside the project: 'sandbox' follows links whose target stays in the project, 'deny' refuses every link
+const SYMLINK_POLICIES = ['sandbox', 'deny'];
+const SYMLINK_POLICY = SYMLINK_POLICIES.includes(process.env.SYMLINK_POLICY) ? process.env.SYMLINK_POLICY : 'sandbox';
+
+// Restricted commands whitelist for security (replaced by "commands" in the policy file, which a policy
+// inside the project may only narrow unless SHELL_MODE=unsafe)
 const ALLOWED_COMMANDS = [
     'npm', 'yarn', 'pnpm', 'node', 'python', 'pip', 'java', 'javac', 'mvn', 'gradle',
     'go', 'cargo', 'rustc', 'gcc', 'g++', 'make', 'cmake', 'git', 'docker',
@@ -35,49 +117,734 @@ const ALLOWED_COMMANDS = [
     'eslint', 'prettier', 'tsc', 'webpack', 'vite', 'rollup', 'parcel'
 ];
 
+// Background job limits
+const JOB_OUTPUT_PAGE_CHARS = 64 * 1024;
+const MAX_FINISHED_JOBS = 20;
+const JOB_KILL_GRACE_MS = 5000;
+
+// Fuzzy smart_replace tuning
+const FUZZY_SIMILARITY_THRESHOLD = 0.9;
+const FUZZY_MAX_LINE_LENGTH = 300;
+// Edit-distance cells one similarity scan may compute; past this it settles for the windows scored so far
+const FUZZY_MAX_SCORE_CELLS = 20 * 1000 * 1000;
+
+// Line endings forced on every write ('lf' or 'crlf'); unset preserves each file's own style
+const NORMALIZE_EOL = ['lf', 'crlf'].includes(process.env.NORMALIZE_EOL) ? process.env.NORMALIZE_EOL : null;
+const DEFAULT_TEXT_FORMAT = { encoding: 'utf-8', bom: false, eol: 'lf' };
+
+// Bytes inspected for NUL characters when detecting binary files
+const BINARY_SAMPLE_BYTES = 8000;
+
+// Unified diff limits
+const MAX_DIFF_EDIT_DISTANCE = 2000;
+const MAX_DIFF_CHARS = 50000;
+const NO_EOL_MARKER = '\u0000<no-eol>';
+
+// Restricted shell mode: redirect targets outside the sandbox that are still harmless
+const SAFE_REDIRECT_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+const PROTECTED_ENV_VARS = /^(PATH|LD_\w+|DYLD_\w+|NODE_OPTIONS|BASH_ENV|ENV|IFS)$/;
+
+// Keys accepted in the policy file
+const POLICY_KEYS = ['shell_mode', 'symlinks', 'commands', 'read_only_paths', 'denied_paths', 'disabled_tools'];
+const POLICY_PATH_GLOB_OPTIONS = { dot: true, matchBase: true };
+
+// Tree-sitter grammars by file extension
+const LANGUAGES_BY_EXTENSION = {
+    '.js': { name: 'javascript', grammar: JavaScript },
+    '.mjs': { name: 'javascript', grammar: JavaScript },
+    '.cjs': { name: 'javascript', grammar: JavaScript },
+    '.jsx': { name: 'javascript', grammar: JavaScript },
+    '.ts': { name: 'typescript', grammar: TypeScript.typescript },
+    '.mts': { name: 'typescript', grammar: TypeScript.typescript },
+    '.cts': { name: 'typescript', grammar: TypeScript.typescript },
+    '.tsx': { name: 'tsx', grammar: TypeScript.tsx }
+};
+
+// Project manifests in detection order, with the project type each one marks
+const PROJECT_MANIFESTS = [
+    ['package.json', 'node.js'],
+    ['requirements.txt', 'python'],
+    ['setup.py', 'python'],
+    ['pyproject.toml', 'python'],
+    ['pom.xml', 'java-maven'],
+    ['build.gradle', 'java-gradle'],
+    ['build.gradle.kts', 'java-gradle'],
+    ['Cargo.toml', 'rust'],
+    ['go.mod', 'go']
+];
+const PROJECT_ENTRY_CANDIDATES = {
+    python: ['__main__.py', 'main.py', 'app.py', 'manage.py'],
+    rust: ['src/main.rs', 'src/lib.rs'],
+    go: ['main.go']
+};
+const SUBPROJECT_MAX_DEPTH = 5;
+
+// Files dependency_graph treats as entry points even when nothing imports them
+const ENTRY_FILE_PATTERN = /(^|\/)(__tests__\/|[^/]*\.(test|spec)\.[cm]?[jt]sx?$|[^/]*\.config\.[cm]?[jt]s$)/;
+
+// Words rename_symbol refuses as new names
+const RESERVED_WORDS = ['await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'];
+
+// Syntax node types that name a binding, property or type
+const IDENTIFIER_NODE_TYPES = ['identifier', 'property_identifier', 'shorthand_property_identifier', 'shorthand_property_identifier_pattern', 'type_identifier'];
+
 class CodeCraftMCPServer {
     constructor() {
-        this.server = new Server(
-            { name: 'codecraft-mcp', version: '2.0.0' },
-            { capabilities: { tools: {} } }
-        );
-        this.git = simpleGit({ baseDir: SANDBOX_DIR });
-        this.setupHandlers();
+        this.auditLogs = new Map();
+        this.workspaces = this._loadWorkspaces();
+        this.defaultWorkspace = this.workspaces.values().next().value;
+        this.workspaceContext = new AsyncLocalStorage();
+        this.sessions = new Map();
+        this.parsers = new Map();
+        this.journals = new Map();
+        this.nextJournalId = 1;
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    // The workspace a tool call runs against: its `workspace` argument, else the session's active one
+    get workspace() {
+        return this.workspaceContext.getStore()?.workspace || this.defaultWorkspace;
+    }
+
+    // Each session keeps a journal per workspace, so undo never reverts edits made by another client or in another project
+    get journal() {
+        const { session } = this.workspaceContext.getStore() || {};
+        const journals = session ? session.journals : this.journals;
+        const { name } = this.workspace;
+        if (!journals.has(name)) journals.set(name, { entries: [], checkpoints: new Map(), totalBytes: 0, evictedId: 0 });
+        return journals.get(name);
+    }
+
+    // One MCP server per connected client; jobs and workspaces are shared between them
+    _createSession() {
+        const session = {
+            server: new Server(
+                { name: 'codecraft-mcp', version: '2.0.0' },
+                { capabilities: { tools: {}, resources: { subscribe: true }, prompts: {} } }
+            ),
+            activeWorkspace: this.defaultWorkspace,
+            journals: new Map(),
+            subscriptions: new Map()
+        };
+        this.setupHandlers(session);
+        return session;
+    }
+
+    _loadWorkspaces() {
+        let roots = { default: PROJECT_DIR };
+        if (process.env.WORKSPACES) {
+            try {
+                roots = JSON.parse(process.env.WORKSPACES);
+            } catch (error) {
+                throw new Error(`Invalid WORKSPACES: ${error.message}`);
+            }
+            if (!roots || typeof roots !== 'object' || Array.isArray(roots) || !Object.keys(roots).length ||
+                Object.values(roots).some(root => typeof root !== 'string' || !root)) {
+                throw new Error('Invalid WORKSPACES: expected a JSON object mapping names to directories');
+            }
+        }
+
+        const workspaces = new Map();
+        for (const [name, root] of Object.entries(roots)) {
+            workspaces.set(name, this._createWorkspace(name, root));
+        }
+        return workspaces;
+    }
+
+    _createWorkspace(name, root) {
+        const resolvedRoot = path.resolve(root);
+        let realRoot;
+        try {
+            realRoot = realpathSync(resolvedRoot);
+        } catch (error) {
+            throw new Error(`Workspace '${name}' directory is not accessible: ${resolvedRoot} (${error.code})`);
+        }
+
+        const journalRelative = path.relative(resolvedRoot, JOURNAL_DIR);
+        if (!journalRelative.startsWith('..') && !path.isAbsolute(journalRelative)) {
+            throw new Error(`JOURNAL_DIR must be outside the project directory: ${JOURNAL_DIR}`);
+        }
+
+        const policyFile = path.resolve(resolvedRoot, POLICY_FILE);
+        const policy = this._loadPolicy(policyFile);
+
+        // A policy file that ships with the project may only tighten what the operator configured
+        const policyIgnored = [];
+        let shellMode = policy?.shell_mode || SHELL_MODE;
+        let symlinkPolicy = policy?.symlinks || SYMLINK_POLICY;
+        if (policy) {
+            policy.fromProject = this._isWithinSandbox(policyFile, resolvedRoot);
+            if (policy.fromProject && SHELL_MODE !== 'unsafe') {
+                if (shellMode === 'unsafe') {
+                    shellMode = 'restricted';
+                    policyIgnored.push('shell_mode "unsafe" (SHELL_MODE is restricted)');
+                }
+                const widened = [...(policy.commands?.entries() || [])].filter(([name, rule]) => rule !== false && !ALLOWED_COMMANDS.includes(name));
+                if (widened.length) policyIgnored.push(`commands ${widened.map(([name]) => name).join(', ')} (not in ALLOWED_COMMANDS)`);
+            }
+            if (policy.fromProject && SYMLINK_POLICY === 'deny' && symlinkPolicy !== 'deny') {
+                symlinkPolicy = 'deny';
+                policyIgnored.push('symlinks "sandbox" (SYMLINK_POLICY is deny)');
+            }
+        }
+        const auditLog = AUDIT_LOG
+            ? path.resolve(resolvedRoot, AUDIT_LOG)
+            : path.join(AUDIT_DIR, `${path.basename(realRoot)}-${this._hashContent(realRoot).slice(0, 12)}.jsonl`);
+        if (this._isWithinSandbox(auditLog, resolvedRoot)) this._excludeFromGit(resolvedRoot, auditLog);
+        // Workspaces sharing one absolute AUDIT_LOG must share its write queue as well
+        if (!this.auditLogs.has(auditLog)) this.auditLogs.set(auditLog, { queue: Promise.resolve(), size: null });
+
+        return {
+            name,
+            root: resolvedRoot,
+            realRoot,
+            policyFile,
+            policy,
+            shellMode,
+            symlinkPolicy,
+            policyIgnored,
+            auditLog,
+            audit: this.auditLogs.get(auditLog),
+            searchIndex: null,
+            git: simpleGit({ baseDir: resolvedRoot })
+        };
+    }
+
+    _excludeFromGit(root, file) {
+        // A log inside the project must not end up staged by an agent's `git add -A`
+        const exclude = path.join(root, '.git', 'info', 'exclude');
+        const rule = `/${path.relative(root, file).split(path.sep).join('/')}*`;
+        try {
+            if (!lstatSync(path.join(root, '.git')).isDirectory()) return;
+            let current = '';
+            try {
+                current = readFileSync(exclude, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            if (current.split('\n').includes(rule)) return;
+            mkdirSync(path.dirname(exclude), { recursive: true });
+            appendFileSync(exclude, `${current && !current.endsWith('\n') ? '\n' : ''}${rule}\n`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`⚠️  Could not add ${rule} to ${exclude}: ${error.message}`);
+        }
+    }
+
+    _getWorkspace(name) {
+        const workspace = this.workspaces.get(name);
+        if (!workspace) {
+            throw new Error(`Unknown workspace '${name}'. Known workspaces: ${[...this.workspaces.keys()].join(', ')}`);
+        }
+        return workspace;
     }
 
-    _resolveSandboxPath(userPath) {
-        const resolvedPath = path.resolve(SANDBOX_DIR, userPath);
-        if (!resolvedPath.startsWith(SANDBOX_DIR)) {
+    _resolveSandboxPath(userPath, access = 'read') {
+        const resolvedPath = path.resolve(this.workspace.root, userPath);
+        if (!this._isWithinSandbox(resolvedPath)) {
             throw new Error(`Security: Path traversal blocked - ${userPath}`);
         }
+        this._assertRealPathAllowed(resolvedPath, access, userPath);
         return resolvedPath;
     }
 
-    _validateShellCommand(command) {
-        if (SHELL_MODE === 'unsafe') return true;
+    _realSandboxPath(resolvedPath, userPath) {
+        // Walk the path one component at a time so every symlink on the way is checked, not just the last one
+        const parts = path.relative(this.workspace.root, resolvedPath).split(path.sep).filter(Boolean);
+        let current = this.workspace.realRoot;
+        for (const [index, part] of parts.entries()) {
+            const next = path.join(current, part);
+            let stats;
+            try {
+                stats = lstatSync(next);
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+                // Nothing below a missing component can be a link yet
+                return path.join(next, ...parts.slice(index + 1));
+            }
+            if (!stats.isSymbolicLink()) {
+                current = next;
+                continue;
+            }
+
+            const linkPath = parts.slice(0, index + 1).join('/');
+            if (this.workspace.symlinkPolicy === 'deny') {
+                throw new Error(`Security: Symlink blocked - ${userPath} (${linkPath} is a symbolic link and symlinks are denied)`);
+            }
+            let target;
+            try {
+                target = realpathSync(next);
+            } catch {
+                throw new Error(`Security: Symlink blocked - ${userPath} (${linkPath} points to a missing target)`);
+            }
+            if (!this._isWithinSandbox(target, this.workspace.realRoot)) {
+                throw new Error(`Security: Symlink escape blocked - ${userPath} (${linkPath} -> ${target})`);
+            }
+            current = target;
+        }
+        return current;
+    }
+
+    _assertRealPathAllowed(resolvedPath, access, userPath) {
+        this._assertPathAllowed(resolvedPath, access, userPath);
+
+        // Policy rules apply to where a link leads as well as to the name it was reached by
+        const realPath = this._realSandboxPath(resolvedPath, userPath);
+        const realInSandbox = path.join(this.workspace.root, path.relative(this.workspace.realRoot, realPath));
+        if (realInSandbox !== resolvedPath) {
+            this._assertPathAllowed(realInSandbox, access, userPath);
+        }
+    }
+
+    _loadPolicy(policyFile) {
+        let raw;
+        try {
+            raw = readFileSync(policyFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const invalid = (reason) => new Error(`Invalid policy file ${policyFile}: ${reason}`);
+        let policy;
+        try {
+            policy = JSON.parse(raw);
+        } catch (error) {
+            throw invalid(error.message);
+        }
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw invalid('expected a JSON object');
+
+        // Unknown keys are rejected so a typo cannot silently drop a rule
+        const unknown = Object.keys(policy).filter(key => !POLICY_KEYS.includes(key));
+        if (unknown.length) throw invalid(`unknown key(s) ${unknown.join(', ')}`);
+
+        const stringList = (key) => {
+            const value = policy[key] ?? [];
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+                throw invalid(`${key} must be an array of non-empty strings`);
+            }
+            return value;
+        };
+
+        if (policy.shell_mode !== undefined && !['restricted', 'unsafe'].includes(policy.shell_mode)) {
+            throw invalid('shell_mode must be "restricted" or "unsafe"');
+        }
+        if (policy.symlinks !== undefined && !SYMLINK_POLICIES.includes(policy.symlinks)) {
+            throw invalid(`symlinks must be one of ${SYMLINK_POLICIES.map(p => `"${p}"`).join(', ')}`);
+        }
+
+        let commands = null;
+        if (policy.commands !== undefined) {
+            if (!policy.commands || typeof policy.commands !== 'object' || Array.isArray(policy.commands)) {
+                throw invalid('commands must be an object keyed by command name');
+            }
+            commands = new Map();
+            for (const [name, rule] of Object.entries(policy.commands)) {
+                if (typeof rule === 'boolean') {
+                    commands.set(name, rule);
+                    continue;
+                }
+                if (!rule || typeof rule !== 'object' || Array.isArray(rule) ||
+                    Object.keys(rule).some(key => !['allow', 'deny'].includes(key))) {
+                    throw invalid(`commands.${name} must be true, false or an object with "allow" and/or "deny"`);
+                }
+                const patterns = {};
+                for (const key of ['allow', 'deny']) {
+                    if (rule[key] === undefined) continue;
+                    if (!Array.isArray(rule[key]) || rule[key].some(item => typeof item !== 'string')) {
+                        throw invalid(`commands.${name}.${key} must be an array of strings`);
+                    }
+                    patterns[key] = rule[key].map(pattern => pattern.trim().split(/\s+/).filter(Boolean));
+                }
+                commands.set(name, patterns);
+            }
+        }
+
+        return {
+            source: policyFile,
+            shell_mode: policy.shell_mode,
+            symlinks: policy.symlinks,
+            commands,
+            read_only_paths: stringList('read_only_paths'),
+            denied_paths: stringList('denied_paths'),
+            disabled_tools: new Set(stringList('disabled_tools'))
+        };
+    }
+
+    _matchPathRule(resolvedPath, list) {
+        const patterns = this.workspace.policy?.[list];
+        if (!patterns?.length) return null;
+
+        // A rule on a directory covers everything below it, so test each ancestor as well
+        const relative = path.relative(this.workspace.root, resolvedPath).split(path.sep).join('/');
+        if (!relative) return null;
+        const parts = relative.split('/');
+        const candidates = [`${relative}/`];
+        for (let i = 1; i <= parts.length; i++) candidates.push(parts.slice(0, i).join('/'));
+
+        const index = patterns.findIndex(pattern =>
+            candidates.some(candidate => minimatch(candidate, pattern, POLICY_PATH_GLOB_OPTIONS)));
+        return index === -1 ? null : `${list}[${index}] "${patterns[index]}"`;
+    }
+
+    _isPathDenied(resolvedPath) {
+        return this._matchPathRule(resolvedPath, 'denied_paths') !== null;
+    }
+
+    _assertPathAllowed(resolvedPath, access, userPath) {
+        // The policy and audit trail must not be editable by the tools they govern
+        if (access === 'write') {
+            const protectedFiles = [
+                [this.workspace.policyFile, 'the policy file'],
+                ...this._auditLogFiles().map(file => [file, 'the audit log'])
+            ];
+            for (const [file, label] of protectedFiles) {
+                const relative = path.relative(resolvedPath, file);
+                if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                    throw new Error(`Policy denied: ${userPath} is or contains ${label}, which tools cannot modify`);
+                }
+            }
+        }
+        const denied = this._matchPathRule(resolvedPath, 'denied_paths');
+        if (denied) {
+            throw new Error(`Policy denied: ${userPath} matches rule ${denied}`);
+        }
+        if (access === 'write') {
+            const readOnly = this._matchPathRule(resolvedPath, 'read_only_paths');
+            if (readOnly) throw new Error(`Policy denied: ${userPath} is read-only by rule ${readOnly}`);
+        }
+    }
+
+    _assertToolEnabled(name) {
+        if (this.workspace.policy?.disabled_tools.has(name)) {
+            throw new Error(`Policy denied: tool '${name}' is disabled by rule disabled_tools in ${this.workspace.policy.source}`);
+        }
+    }
+
+    _splitShortFlags(arg) {
+        // -fu is -f -u
+        return /^-[A-Za-z]{2,}$/.test(arg) ? [...arg.slice(1)].map(letter => `-${letter}`) : [arg];
+    }
+
+    _flagAllowedBy(flag, token) {
+        // --format allows --format=<anything>; globs such as -* allow any flag they match
+        return token.includes('=') ? minimatch(flag, token) : minimatch(flag.split('=')[0], token);
+    }
+
+    _flagDeniedBy(arg, token) {
+        if (/^-[^-]$/.test(token)) return this._splitShortFlags(arg).includes(token);
+        if (token.startsWith('--')) {
+            // Longer spellings (--force-with-lease) and abbreviations (--forc) act like the flag they extend
+            const name = arg.split('=')[0];
+            const tokenName = token.split('=')[0];
+            const sameFlag = name.startsWith(tokenName) || (name.length > 3 && tokenName.startsWith(name));
+            return sameFlag && (!token.includes('=') || minimatch(arg, token));
+        }
+        return arg === token || arg.startsWith(`${token}=`);
+    }
+
+    _matchArgumentPattern(pattern, args, anchored) {
+        // Flags may appear anywhere; positional words must appear in order (as a prefix when anchored)
+        const positional = args.filter(arg => !arg.startsWith('-'));
+        const flags = args.filter(arg => arg.startsWith('-'));
+        let next = 0;
+        for (const token of pattern) {
+            if (token.startsWith('-')) {
+                if (anchored && /[*?[]/.test(token)) continue;
+                const present = anchored
+                    ? flags.some(arg => this._splitShortFlags(arg).some(flag => this._flagAllowedBy(flag, token)))
+                    : flags.some(arg => this._flagDeniedBy(arg, token));
+                if (!present) return false;
+                continue;
+            }
+            if (anchored) {
+                if (next >= positional.length || !minimatch(positional[next], token)) return false;
+                next++;
+            } else {
+                while (next < positional.length && !minimatch(positional[next], token)) next++;
+                if (next >= positional.length) return false;
+                next++;
+            }
+        }
+        if (!anchored) return true;
+
+        // An allow pattern lists every flag it permits, so an unlisted one such as --receive-pack=<cmd> fails it
+        const allowedFlags = pattern.filter(token => token.startsWith('-'));
+        return flags.every(arg => this._splitShortFlags(arg).every(flag => allowedFlags.some(token => this._flagAllowedBy(flag, token))));
+    }
+
+    _checkCommandPolicy(commandName, argWords) {
+        if (!this.workspace.policy?.commands) {
+            return ALLOWED_COMMANDS.includes(commandName) ? null : `command '${commandName}' not in ALLOWED_COMMANDS`;
+        }
+
+        if (this.workspace.policy.fromProject && SHELL_MODE !== 'unsafe' && !ALLOWED_COMMANDS.includes(commandName)) {
+            return `command '${commandName}' not in ALLOWED_COMMANDS, which a policy file inside the project cannot extend while SHELL_MODE is restricted`;
+        }
+        const rule = this.workspace.policy.commands.get(commandName);
+        if (rule === undefined) return `command '${commandName}' has no entry in policy rule commands`;
+        if (rule === false) return `command '${commandName}' is denied by policy rule commands.${commandName}`;
+        if (rule === true) return null;
+
+        const expanded = argWords.find(word => word.expanded);
+        if (expanded) {
+            return `argument '${expanded.value}' uses expansion, which policy rule commands.${commandName} cannot check`;
+        }
+        let args = argWords.map(word => word.value);
+        // git push +<refspec> forces the update just like --force
+        if (commandName === 'git') args = args.flatMap(arg => /^\+[^+]/.test(arg) ? ['--force', arg.slice(1)] : [arg]);
+
+        const denyIndex = (rule.deny || []).findIndex(pattern => this._matchArgumentPattern(pattern, args, false));
+        if (denyIndex !== -1) {
+            return `denied by policy rule commands.${commandName}.deny[${denyIndex}] "${rule.deny[denyIndex].join(' ')}"`;
+        }
+        if (rule.allow && !rule.allow.some(pattern => this._matchArgumentPattern(pattern, args, true))) {
+            return `arguments '${args.join(' ')}' match no entry in policy rule commands.${commandName}.allow`;
+        }
+        return null;
+    }
+
+    _tokenizeShell(command) {
+        const tokens = [];
+        let word = null;
+        let i = 0;
+
+        const refuse = (reason) => {
+            throw new Error(`Command refused in restricted mode: ${reason} at position ${i} in "${command}". ${this._restrictedModeHint()}`);
+        };
+        const startWord = () => {
+            if (!word) word = { type: 'word', value: '', start: i, expanded: false, quoted: false };
+        };
+        const endWord = () => {
+            if (word) {
+                word.end = i;
+                tokens.push(word);
+                word = null;
+            }
+        };
+        const pushOp = (value, length) => {
+            tokens.push({ type: 'op', value, start: i, end: i + length });
+            i += length;
+        };
+
+        while (i < command.length) {
+            const ch = command[i];
+            const next = command[i + 1];
+
+            if (ch === ' ' || ch === '\t') {
+                endWord();
+                i++;
+            } else if (ch === '\n') {
+                endWord();
+                pushOp(';', 1);
+            } else if (ch === '#' && !word) {
+                while (i < command.length && command[i] !== '\n') i++;
+            } else if (ch === '\\') {
+                startWord();
+                if (next !== '\n') word.value += next ?? '';
+                i += 2;
+            } else if (ch === '\'') {
+                startWord();
+                const close = command.indexOf('\'', i + 1);
+                if (close === -1) refuse('unterminated single quote');
+                word.value += command.slice(i + 1, close);
+                word.quoted = true;
+                i = close + 1;
+            } else if (ch === '"') {
+                startWord();
+                word.quoted = true;
+                i++;
+                while (i < command.length && command[i] !== '"') {
+                    if (command[i] === '\\' && '$`"\\\n'.includes(command[i + 1])) {
+                        word.value += command[i + 1];
+                        i += 2;
+                        continue;
+                    }
+                    if (command[i] === '`' || (command[i] === '$' && command[i + 1] === '(')) refuse('command substitution');
+                    if (command[i] === '$') word.expanded = true;
+                    word.value += command[i++];
+                }
+                if (i >= command.length) refuse('unterminated double quote');
+                i++;
+            } else if (ch === '`') {
+                refuse('command substitution');
+            } else if (ch === '$') {
+                if (next === '(') refuse('command substitution');
+                startWord();
+                word.expanded = true;
+                word.value += ch;
+                i++;
+            } else if ((ch === '<' || ch === '>') && next === '(') {
+                refuse('process substitution');
+            } else if ('|&;<>()'.includes(ch)) {
+                // A bare number right before a redirect is its file descriptor (2>file)
+                const isFdPrefix = word && /^\d+$/.test(word.value) && !word.quoted && (ch === '<' || ch === '>');
+                if (isFdPrefix) word = null;
+                else endWord();
+
+                const three = command.slice(i, i + 3);
+                const two = command.slice(i, i + 2);
+                if (three === '<<<') pushOp('<<<', 3);
+                else if (two === '<<') refuse('here-documents');
+                else if (['&&', '||', ';;', '>>', '>&', '&>', '>|', '<&', '<>'].includes(two)) {
+                    if (two === '&>' && command[i + 2] === '>') pushOp('&>>', 3);
+                    else pushOp(two, 2);
+                } else pushOp(ch, 1);
+            } else {
+                startWord();
+                word.value += ch;
+                i++;
+            }
+        }
+        endWord();
+        return tokens;
+    }
+
+    // Best effort: arguments that name a denied path, directly, as --flag=<path> or as rev:<path>.
+    // Programs that find files themselves (grep -r, find, scripts) are not covered, see README
+    _deniedShellArgument(word, cwd) {
+        if (word.expanded || !this.workspace.policy?.denied_paths.length) return null;
+        const value = word.value;
+        const candidates = [value];
+        if (/^--?[^=]+=/.test(value)) candidates.push(value.slice(value.indexOf('=') + 1));
+        if (/^[^/:]+:/.test(value)) candidates.push(value.slice(value.indexOf(':') + 1));
+
+        for (const candidate of candidates) {
+            if (!candidate || candidate.startsWith('-')) continue;
+            const resolved = path.resolve(cwd, candidate);
+            if (!this._isWithinSandbox(resolved)) continue;
+            // Free text such as a commit message is only taken for a path when that path exists
+            if (/\s/.test(candidate) && !existsSync(resolved)) continue;
+            const rule = this._matchPathRule(resolved, 'denied_paths');
+            if (rule) return `argument '${value}' names a denied path (rule ${rule})`;
+        }
+        return null;
+    }
+
+    _splitShellSegments(command, tokens) {
+        const segments = [];
+        let current = [];
+        const flush = () => {
+            if (current.length) {
+                segments.push({
+                    text: command.slice(current[0].start, current[current.length - 1].end),
+                    tokens: current
+                });
+            }
+            current = [];
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'op' && ['|', '||', '&&', ';', ';;', '&', '(', ')'].includes(token.value)) flush();
+            else current.push(token);
+        }
+        flush();
+        return segments;
+    }
+
+    _isWithinSandbox(resolvedPath, root = this.workspace.root) {
+        const relative = path.relative(root, resolvedPath);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    _restrictedModeHint() {
+        return this.workspace.policy ? `See ${this.workspace.policy.source}.` : 'Set SHELL_MODE=unsafe to enable.';
+    }
+
+    _validateShellCommand(command, cwd = this.workspace.root) {
+        if (this.workspace.shellMode === 'unsafe') return true;
+
+        const segments = this._splitShellSegments(command, this._tokenizeShell(command));
+        if (!segments.length) {
+            throw new Error('Empty command');
+        }
+
+        for (const segment of segments) {
+            const refuse = (reason) => {
+                throw new Error(`Command refused in restricted mode: segment "${segment.text}" - ${reason}. ${this._restrictedModeHint()}`);
+            };
+
+            const words = [];
+            for (let i = 0; i < segment.tokens.length; i++) {
+                const token = segment.tokens[i];
+                if (token.type === 'word') {
+                    words.push(token);
+                    continue;
+                }
+
+                // Redirection: validate where output goes
+                const target = segment.tokens[i + 1];
+                if (!target || target.type !== 'word') refuse(`redirection '${token.value}' has no target`);
+                i++;
+
+                const isWrite = ['>', '>>', '>|', '&>', '&>>', '<>'].includes(token.value) ||
+                    (token.value === '>&' && !/^(\d+|-)$/.test(target.value));
+                if (token.value === '<') {
+                    const denied = this._deniedShellArgument(target, cwd);
+                    if (denied) refuse(denied);
+                }
+                if (!isWrite) continue;
+
+                if (target.expanded || target.value.startsWith('~')) {
+                    refuse(`redirect target '${target.value}' uses expansion`);
+                }
+                const resolved = path.resolve(cwd, target.value);
+                if (SAFE_REDIRECT_TARGETS.includes(resolved)) continue;
+                if (!this._isWithinSandbox(resolved)) {
+                    refuse(`writes to '${target.value}' outside the project directory`);
+                }
+                try {
+                    this._assertRealPathAllowed(resolved, 'write', target.value);
+                } catch (error) {
+                    refuse(error.message);
+                }
+            }
+
+            // Leading VAR=value assignments are allowed, except ones that hijack lookup or loading
+            let commandIndex = 0;
+            while (commandIndex < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[commandIndex].value)) {
+                const variable = words[commandIndex].value.split('=')[0];
+                if (PROTECTED_ENV_VARS.test(variable)) refuse(`assignment to ${variable} is not allowed`);
+                commandIndex++;
+            }
+
+            // Grouping braces carry no command of their own
+            const commandWord = words.slice(commandIndex).find(w => w.quoted || !['{', '}'].includes(w.value));
+            if (!commandWord) continue;
 
-        const baseCommand = command.trim().split(/\s+/)[0];
-        const commandName = path.basename(baseCommand);
+            if (commandWord.expanded) refuse(`command name '${commandWord.value}' uses variable expansion`);
+            if (/[*?[]/.test(commandWord.value) && !commandWord.quoted) refuse(`command name '${commandWord.value}' uses a glob`);
 
-        if (!ALLOWED_COMMANDS.includes(commandName)) {
-            throw new Error(`Command '${commandName}' not allowed. Set SHELL_MODE=unsafe to enable.`);
+            // A path would run whatever binary happens to carry an allowed name, so commands are looked up on PATH only
+            if (/[\\/]/.test(commandWord.value)) refuse(`command '${commandWord.value}' is a path; run allowed commands by name`);
+            const commandName = commandWord.value;
+            const argWords = words.slice(words.indexOf(commandWord) + 1).filter(w => w.quoted || !['{', '}'].includes(w.value));
+            const denial = this._checkCommandPolicy(commandName, argWords);
+            if (denial) refuse(denial);
+            for (const word of argWords) {
+                const denied = this._deniedShellArgument(word, cwd);
+                if (denied) refuse(denied);
+            }
         }
         return true;
     }
 
-    setupHandlers() {
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    setupHandlers(session) {
+        session.server.setRequestHandler(ListToolsRequestSchema, async () => ({
             tools: [
                 {
                     name: 'create_or_overwrite_file',
                     description: `Creates new file or replaces existing file.
 **When to use:** Creating new files, rewriting small files (<100 lines)
-**Example:** {"file_path": "app.js", "content": "console.log('hello')"}`,
+**Example:** {"file_path": "app.js", "content": "console.log('hello')"}
+**Returns:** Unified diff of the change; dry_run previews it without writing`,
                     inputSchema: {
                         type: 'object',
                         properties: {
                             file_path: { type: 'string', description: 'Relative file path' },
-                            content: { type: 'string', description: 'Full file content' }
+                            content: { type: 'string', description: 'Full file content' },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path', 'content']
                     }
@@ -87,7 +854,11 @@ class CodeCraftMCPServer {
                     description: `Intelligently replaces code with fuzzy matching.
 **Strategy 1:** Minimal context for unique strings
 **Strategy 2:** Include function/class for safer matches
-**Auto-handles:** whitespace, indentation differences`,
+**Auto-handles:** whitespace, indentation differences
+**fuzzy mode:** Also accepts regions whose lines are similar by edit distance (similarity_threshold)
+**On failure:** details.closest_matches lists the 3 nearest regions with scores and a diff against old_code
+(details.search_truncated means the file was too large to score every region)
+**Ambiguity:** Fails listing match lines when old_code occurs more than once, unless occurrence, replace_all or within_lines is given`,
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -99,7 +870,26 @@ class CodeCraftMCPServer {
                                 enum: ['exact', 'fuzzy', 'smart'],
                                 default: 'smart',
                                 description: 'Match strategy'
-                            }
+                            },
+                            occurrence: { type: 'integer', description: 'Replace only the Nth match (1-based)' },
+                            replace_all: { type: 'boolean', default: false, description: 'Replace every match' },
+                            similarity_threshold: {
+                                type: 'number',
+                                minimum: 0,
+                                maximum: 1,
+                                default: FUZZY_SIMILARITY_THRESHOLD,
+                                description: 'fuzzy mode: minimum average per-line similarity'
+                            },
+                            within_lines: {
+                                type: 'object',
+                                description: 'Only consider matches inside this line range',
+                                properties: {
+                                    start_line: { type: 'integer' },
+                                    end_line: { type: 'integer' }
+                                }
+                            },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path', 'old_code', 'new_code']
                     }
@@ -142,7 +932,9 @@ class CodeCraftMCPServer {
                         properties: {
                             file_path: { type: 'string' },
                             start_line: { type: 'integer', description: 'First line (1-based)' },
-                            end_line: { type: 'integer', description: 'Last line (inclusive)' }
+                            end_line: { type: 'integer', description: 'Last line (inclusive)' },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path', 'start_line', 'end_line']
                     }
@@ -177,7 +969,9 @@ class CodeCraftMCPServer {
                             },
                             match_occurrence: { type: 'integer', default: 1 },
                             create_if_missing: { type: 'boolean', default: false },
-                            preserve_indentation: { type: 'boolean', default: true }
+                            preserve_indentation: { type: 'boolean', default: true },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path', 'content', 'position']
                     }
@@ -185,8 +979,9 @@ class CodeCraftMCPServer {
                 {
                     name: 'execute_shell_command',
                     description: `Execute shell commands. 
-**Restricted mode:** Only safe commands allowed (npm, python, git, etc)
-**Set SHELL_MODE=unsafe in .env for unrestricted access**`,
+**Restricted mode:** Only safe commands allowed (npm, python, git, etc); every command in pipes, && / ; chains
+and subshells is checked, command substitution is refused and redirects may only write inside the project
+**Set SHELL_MODE=unsafe in .env for unrestricted access**, or allow commands and arguments in .codecraft/policy.json`,
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -197,13 +992,86 @@ class CodeCraftMCPServer {
                         required: ['command']
                     }
                 },
+                {
+                    name: 'start_job',
+                    description: `Start a long-running command in the background (test suites, builds, dev servers).
+**Returns:** job_id immediately; read output with get_job_output
+**wait_for_exit:** Keep the call open until the job ends, streaming progress notifications; cancelling the call kills the job`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            command: { type: 'string' },
+                            working_dir: { type: 'string', default: '.', description: 'Relative to project root' },
+                            timeout_seconds: { type: 'integer', default: 0, description: 'Kill the job after this long (0 = no limit)' },
+                            wait_for_exit: { type: 'boolean', default: false }
+                        },
+                        required: ['command']
+                    }
+                },
+                {
+                    name: 'get_job_output',
+                    description: `Read a job's buffered stdout/stderr from the given offsets.
+**Paging:** Pass back next_stdout_offset / next_stderr_offset to read only new output`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            job_id: { type: 'integer' },
+                            stdout_offset: { type: 'integer', default: 0 },
+                            stderr_offset: { type: 'integer', default: 0 },
+                            max_chars: { type: 'integer', default: JOB_OUTPUT_PAGE_CHARS, description: 'Per stream' },
+                            wait_seconds: { type: 'integer', default: 0, description: 'Wait up to this long for the job to exit' }
+                        },
+                        required: ['job_id']
+                    }
+                },
+                {
+                    name: 'send_job_input',
+                    description: `Write to a running job's stdin.`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            job_id: { type: 'integer' },
+                            input: { type: 'string' },
+                            close_stdin: { type: 'boolean', default: false }
+                        },
+                        required: ['job_id']
+                    }
+                },
+                {
+                    name: 'kill_job',
+                    description: `Stop a job and every process it started.`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            job_id: { type: 'integer' },
+                            signal: { type: 'string', default: 'SIGTERM' }
+                        },
+                        required: ['job_id']
+                    }
+                },
+                {
+                    name: 'list_jobs',
+                    description: `List running and recently finished jobs.`,
+                    inputSchema: { type: 'object', properties: {} }
+                },
                 {
                     name: 'read_file_content',
-                    description: `Read entire file content.`,
+                    description: `Read file content, whole or in pages.
+**Ranges:** {"start_line": 100, "end_line": 200} or byte pages via {"offset": 0, "max_bytes": 65536}
+**Large files:** Returns the first page plus continuation_token; pass it back for the next page
+**Long lines:** A line longer than max_bytes is split across pages (last_line_partial)
+**Binary files:** Returns metadata only (set include_base64 for the bytes)
+**Returns:** content_hash of the whole file to pass as expected_hash when editing`,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            file_path: { type: 'string' }
+                            file_path: { type: 'string' },
+                            start_line: { type: 'integer', description: 'First line to return (1-based)' },
+                            end_line: { type: 'integer', description: 'Last line to return (inclusive)' },
+                            offset: { type: 'integer', description: 'Byte offset to start reading from' },
+                            max_bytes: { type: 'integer', description: `Maximum bytes per call (default ${READ_MAX_BYTES})` },
+                            continuation_token: { type: 'string', description: 'Token from a previous truncated read' },
+                            include_base64: { type: 'boolean', default: false, description: 'Return binary content as base64' }
                         },
                         required: ['file_path']
                     }
@@ -219,7 +1087,8 @@ class CodeCraftMCPServer {
                             filter: { type: 'string', description: 'Glob pattern' },
                             include_hidden: { type: 'boolean', default: false },
                             max_depth: { type: 'integer', default: 1, minimum: 1, maximum: 5 },
-                            max_files: { type: 'integer', default: 100 }
+                            max_files: { type: 'integer', default: 100 },
+                            respect_gitignore: { type: 'boolean', default: true, description: 'Skip files matched by .gitignore, .git/info/exclude and .codecraftignore' }
                         }
                     }
                 },
@@ -229,7 +1098,8 @@ class CodeCraftMCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            file_path: { type: 'string' }
+                            file_path: { type: 'string' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path']
                     }
@@ -386,837 +1256,5066 @@ class CodeCraftMCPServer {
                             file_path: { type: 'string' },
                             content: { type: 'string' },
                             position: { type: 'string', enum: ['prepend', 'append'] },
-                            create_if_missing: { type: 'boolean', default: false }
+                            create_if_missing: { type: 'boolean', default: false },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
                         },
                         required: ['file_path', 'content', 'position']
                     }
                 },
                 {
-                    name: 'search_across_files',
-                    description: `Search multiple files at once.`,
+                    name: 'apply_edits',
+                    description: `Apply several edits across files atomically: all succeed or nothing is written.
+**Operations:** replace, insert, delete_lines, create, move (same arguments as the single-file tools)
+**Example:** {"edits": [{"type": "replace", "file_path": "a.js", "old_code": "foo()", "new_code": "bar()"}, {"type": "move", "source_path": "old.js", "destination_path": "new.js"}]}`,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            search_text: { type: 'string' },
-                            file_pattern: { type: 'string', default: '*' },
-                            case_sensitive: { type: 'boolean', default: true },
-                            use_regex: { type: 'boolean', default: false },
-                            max_files: { type: 'integer', default: 100 },
-                            max_matches_per_file: { type: 'integer', default: 10 },
-                            context_lines: { type: 'integer', default: 0 }
+                            edits: {
+                                type: 'array',
+                                description: 'Operations applied in order; later edits see the result of earlier ones',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        type: { type: 'string', enum: ['replace', 'insert', 'delete_lines', 'create', 'move'] },
+                                        file_path: { type: 'string' },
+                                        old_code: { type: 'string' },
+                                        new_code: { type: 'string' },
+                                        match_mode: { type: 'string', enum: ['exact', 'fuzzy', 'smart'], default: 'smart' },
+                                        occurrence: { type: 'integer' },
+                                        replace_all: { type: 'boolean', default: false },
+                                        similarity_threshold: { type: 'number' },
+                                        within_lines: { type: 'object', properties: { start_line: { type: 'integer' }, end_line: { type: 'integer' } } },
+                                        content: { type: 'string' },
+                                        position: { type: 'object', description: 'Same as insert_lines position' },
+                                        match_occurrence: { type: 'integer', default: 1 },
+                                        preserve_indentation: { type: 'boolean', default: true },
+                                        start_line: { type: 'integer' },
+                                        end_line: { type: 'integer' },
+                                        overwrite: { type: 'boolean', default: true, description: 'create: replace an existing file' },
+                                        source_path: { type: 'string' },
+                                        destination_path: { type: 'string' },
+                                        expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
+                                    },
+                                    required: ['type']
+                                }
+                            },
+                            dry_run: { type: 'boolean', default: false, description: 'Validate and preview diffs without writing' }
                         },
-                        required: ['search_text']
+                        required: ['edits']
                     }
                 },
                 {
-                    name: 'get_file_info',
-                    description: `Get file metadata without reading content.`,
+                    name: 'list_edit_journal',
+                    description: `List file changes recorded this session (newest first) and named checkpoints.
+**Covers:** every write, delete and move this client made in the workspace, including files git does not track`,
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            file_path: { type: 'string' },
+                            limit: { type: 'integer', default: 20 }
+                        }
+                    }
+                },
+                {
+                    name: 'undo_last_edit',
+                    description: `Restore files to their state before the last N journaled edits.
+**Conflicts:** Stops at an edit whose files were changed after it (by hand, a command or git) unless force is set`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            count: { type: 'integer', default: 1, minimum: 1 },
+                            force: { type: 'boolean', default: false, description: 'Undo even if the files changed since the edit' }
+                        }
+                    }
+                },
+                {
+                    name: 'create_checkpoint',
+                    description: `Name the current point in the edit journal so it can be restored later.
+**Example:** {"name": "before-refactor"}`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' }
+                        },
+                        required: ['name']
+                    }
+                },
+                {
+                    name: 'restore_checkpoint',
+                    description: `Undo every journaled edit made after a named checkpoint.
+**Conflicts:** Stops at an edit whose files were changed after it unless force is set`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            force: { type: 'boolean', default: false, description: 'Undo even if the files changed since the edits' }
+                        },
+                        required: ['name']
+                    }
+                },
+                {
+                    name: 'get_audit_log',
+                    description: `Query the audit trail of tool calls, newest first.
+**When to use:** Reviewing what was run or changed, in this session or earlier ones
+**Returns:** Timestamp, tool, redacted arguments, affected paths, duration, status and diff stats per call
+**Example:** {"limit": 20, "status": "error"}`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            limit: { type: 'number', default: 50, description: 'Maximum entries to return' },
+                            tool: { type: 'string', description: 'Only calls to this tool' },
+                            status: { type: 'string', enum: ['success', 'failed', 'error'], description: 'Only calls with this outcome' },
+                            path: { type: 'string', description: 'Only calls whose affected paths contain this text' },
+                            since: { type: 'string', description: 'Only calls at or after this ISO timestamp' }
+                        }
+                    }
+                },
+                {
+                    name: 'search_across_files',
+                    description: `Search multiple files at once.
+**Files:** Globs are relative to the project root, e.g. {"include": ["src/**/*.ts"], "exclude": ["**/*.d.ts"]}
+**Paging:** When truncated is true, pass next_cursor back as cursor for the next page of matching files
+**Skipped:** Binary files and files over ${SEARCH_MAX_FILE_BYTES / 1024 / 1024} MB are counted in files_skipped
+**Repeated searches:** Set use_index to keep a trigram index that rules out files without reading them`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            search_text: { type: 'string' },
+                            file_pattern: { type: 'string', default: '*', description: 'Single include glob, kept for compatibility' },
+                            include: { type: 'array', items: { type: 'string' }, description: 'Search files matching any of these globs' },
+                            exclude: { type: 'array', items: { type: 'string' }, default: SEARCH_DEFAULT_EXCLUDE, description: 'Skip files matching any of these globs; replaces the default, which skips minified bundles' },
+                            case_sensitive: { type: 'boolean', default: true },
+                            use_regex: { type: 'boolean', default: false },
+                            multiline: { type: 'boolean', default: false, description: 'Match the pattern against whole files so it can span lines' },
+                            max_files: { type: 'integer', default: 100, description: 'Files with matches per page' },
+                            max_matches_per_file: { type: 'integer', default: 10 },
+                            context_lines: { type: 'integer', default: 0 },
+                            respect_gitignore: { type: 'boolean', default: true, description: 'Skip files matched by .gitignore, .git/info/exclude and .codecraftignore' },
+                            use_index: { type: 'boolean', default: false, description: 'Build or reuse the in-memory trigram index, kept fresh by watching the project' },
+                            cursor: { type: 'string', description: 'next_cursor from a previous truncated search' }
+                        },
+                        required: ['search_text']
+                    }
+                },
+                {
+                    name: 'get_file_info',
+                    description: `Get file metadata without reading content.
+**Returns:** Size, dates, and for text files encoding, bom and eol (lf, crlf, mixed) judged from the first ${READ_CHUNK_BYTES / 1024} KB`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string' },
                             file_paths: { type: 'array', items: { type: 'string' } },
                             include_line_count: { type: 'boolean', default: false }
                         }
                     }
                 },
+                {
+                    name: 'list_workspaces',
+                    description: `List the configured project roots and which one is active.
+**When to use:** Working across several repositories from one server (configured with WORKSPACES)`,
+                    inputSchema: { type: 'object', properties: {} }
+                },
+                {
+                    name: 'set_workspace',
+                    description: `Switch the active workspace. Every tool call without a workspace argument runs against it.
+**Example:** {"name": "backend"}`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', description: 'Workspace name from list_workspaces' }
+                        },
+                        required: ['name']
+                    }
+                },
                 {
                     name: 'analyze_project',
                     description: `Get comprehensive project overview in one call.
-**Returns:** Project type, dependencies, structure, entry points, tests`,
+**Returns:** Project type, dependencies, structure, entry points, tests
+**Monorepos:** npm/yarn/pnpm workspaces, lerna, nx and turbo packages and other-language subprojects,
+each with its type, dependencies, scripts and entry points, plus the links between packages`,
                     inputSchema: {
                         type: 'object',
                         properties: {
                             max_depth: { type: 'integer', default: 3 },
                             include_dependencies: { type: 'boolean', default: true },
-                            include_git_info: { type: 'boolean', default: true }
+                            include_git_info: { type: 'boolean', default: true },
+                            respect_gitignore: { type: 'boolean', default: true, description: 'Leave ignored files out of the structure' },
+                            include_workspaces: { type: 'boolean', default: true, description: 'Detect workspace packages and subprojects' }
+                        }
+                    }
+                },
+                {
+                    name: 'dependency_graph',
+                    description: `Build the module graph from import, export ... from, require() and import() across JS/TS files.
+**Returns:** Circular dependencies, orphaned files, fan-in/fan-out per module, unresolved imports,
+and npm packages declared but never imported (unused) or imported but not declared (undeclared),
+each checked against the package.json of the package that contains the importing file
+**Diagrams:** format "mermaid" or "dot" adds a diagram of the internal graph`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            dir_path: { type: 'string', default: '.', description: 'Only graph files under this directory' },
+                            format: { type: 'string', enum: ['json', 'mermaid', 'dot'], default: 'json' },
+                            include_packages: { type: 'boolean', default: false, description: 'Draw npm packages as nodes in the diagram' },
+                            respect_gitignore: { type: 'boolean', default: true }
+                        }
+                    }
+                },
+                {
+                    name: 'get_file_symbols',
+                    description: `Outline a source file without reading it: functions, classes, methods, imports and exports.
+**Returns:** Symbols with start/end lines and signatures
+**Supported:** .js, .mjs, .cjs, .jsx, .ts, .mts, .cts, .tsx`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string' },
+                            kinds: {
+                                type: 'array',
+                                items: { type: 'string', enum: ['function', 'class', 'method', 'variable', 'interface', 'type', 'enum'] },
+                                description: 'Only return these symbol kinds'
+                            }
+                        },
+                        required: ['file_path']
+                    }
+                },
+                {
+                    name: 'replace_symbol',
+                    description: `Replace a whole function, class or method located through the syntax tree.
+**When to use:** Rewriting an entire function/method instead of matching its old body with smart_replace
+**Example:** {"file_path": "server.js", "symbol": "CodeCraftMCPServer.gitPush", "new_code": "async gitPush() { ... }"}
+**Exports:** new_code starting with \`export\` replaces the whole export statement; without it the \`export\` keyword is kept`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file_path: { type: 'string' },
+                            symbol: { type: 'string', description: 'Symbol name or path, e.g. "parseArgs" or "MyClass.method"' },
+                            new_code: { type: 'string', description: 'Full replacement source for the symbol, with or without a leading export' },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diff without writing' },
+                            expected_hash: { type: 'string', description: 'content_hash from a previous read; refuse to write if the file changed since' }
+                        },
+                        required: ['file_path', 'symbol', 'new_code']
+                    }
+                },
+                {
+                    name: 'find_definition',
+                    description: `Find where a JS/TS identifier is declared, following imports, re-exports and require() across files.
+**By name:** {"symbol": "parseArgs"} lists every declaration with that name
+**At a use:** {"file_path": "src/cli.ts", "line": 42, "column": 7} resolves the identifier under that position`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            symbol: { type: 'string', description: 'Identifier or Class.method; picks the identifier on line when column is omitted' },
+                            file_path: { type: 'string', description: 'File the identifier is used in' },
+                            line: { type: 'integer', description: 'Line of the identifier (1-based)' },
+                            column: { type: 'integer', description: 'Column of the identifier (1-based)' }
+                        }
+                    }
+                },
+                {
+                    name: 'find_references',
+                    description: `Find every use of a JS/TS declaration, skipping comments, strings and shadowing locals.
+**When to use:** Before renaming or changing a signature, instead of search_across_files on the bare name
+**Returns:** Locations split into declarations, calls, imports (with kind import, require, export or re-export) and other references`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            symbol: { type: 'string', description: 'Identifier or Class.method' },
+                            file_path: { type: 'string', description: 'File that declares or uses the identifier, to pick one of several' },
+                            line: { type: 'integer', description: 'Line of a use or the declaration (1-based)' },
+                            column: { type: 'integer', description: 'Column of the identifier (1-based)' },
+                            max_results: { type: 'integer', default: 500 }
+                        }
+                    }
+                },
+                {
+                    name: 'rename_symbol',
+                    description: `Rename a JS/TS function, class, variable or export and update every import, re-export and reference across the project.
+**When to use:** Instead of repeated smart_replace calls; strings, comments and shadowing locals are left alone
+**Preview:** Run with dry_run first to review the diff of every file, then again without it to write all files at once
+**Example:** {"symbol": "parseArgs", "file_path": "src/cli.ts", "new_name": "parseArguments", "dry_run": true}`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            symbol: { type: 'string', description: 'Current name' },
+                            file_path: { type: 'string', description: 'File that declares or uses the symbol, to pick one of several' },
+                            line: { type: 'integer', description: 'Line of a use or the declaration (1-based)' },
+                            column: { type: 'integer', description: 'Column of the identifier (1-based)' },
+                            new_name: { type: 'string' },
+                            dry_run: { type: 'boolean', default: false, description: 'Preview the unified diffs without writing' }
+                        },
+                        required: ['new_name']
+                    }
+                }
+            ].filter(tool => !session.activeWorkspace.policy?.disabled_tools.has(tool.name)).map(tool => ({
+                ...tool,
+                inputSchema: {
+                    ...tool.inputSchema,
+                    properties: {
+                        ...tool.inputSchema.properties,
+                        workspace: {
+                            type: 'string',
+                            enum: [...this.workspaces.keys()],
+                            description: 'Workspace to run in; defaults to the active one (see set_workspace)'
                         }
                     }
                 }
-            ]
+            }))
         }));
 
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        session.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
             const { name, arguments: args } = request.params;
+            // An unknown name still runs against the active workspace so its error is reported and audited normally
+            const workspace = this.workspaces.get(args?.workspace) || session.activeWorkspace;
 
-            try {
-                let result;
-                switch (name) {
-                    // File operations
-                    case 'create_or_overwrite_file': result = await this.createOrOverwriteFile(args); break;
-                    case 'smart_replace': result = await this.smartReplace(args); break;
-                    case 'search_in_file': result = await this.searchInFile(args); break;
-                    case 'get_code_context': result = await this.getCodeContext(args); break;
-                    case 'delete_lines': result = await this.deleteLines(args); break;
-                    case 'insert_lines': result = await this.insertLines(args); break;
-                    case 'read_file_content': result = await this.readFileContent(args); break;
-                    case 'list_directory': result = await this.listDirectory(args); break;
-                    case 'delete_file': result = await this.deleteFile(args); break;
-                    case 'move_or_rename_file': result = await this.moveOrRenameFile(args); break;
-                    case 'append_prepend_content': result = await this.appendPrependContent(args); break;
-                    case 'search_across_files': result = await this.searchAcrossFiles(args); break;
-                    case 'get_file_info': result = await this.getFileInfo(args); break;
-
-                    // Git operations
-                    case 'git_status': result = await this.gitStatus(args); break;
-                    case 'git_diff': result = await this.gitDiff(args); break;
-                    case 'git_add': result = await this.gitAdd(args); break;
-                    case 'git_commit': result = await this.gitCommit(args); break;
-                    case 'git_branch': result = await this.gitBranch(args); break;
-                    case 'git_checkout': result = await this.gitCheckout(args); break;
-                    case 'git_pull': result = await this.gitPull(args); break;
-                    case 'git_push': result = await this.gitPush(args); break;
-                    case 'git_merge': result = await this.gitMerge(args); break;
-                    case 'git_stash': result = await this.gitStash(args); break;
-                    case 'git_log': result = await this.gitLog(args); break;
-
-                    // Special operations
-                    case 'execute_shell_command': result = await this.executeShellCommand(args); break;
-                    case 'create_github_repo': result = await this.createGithubRepo(args); break;
-                    case 'analyze_project': result = await this.analyzeProject(args); break;
-
-                    default: throw new Error(`Unknown tool: ${name}`);
-                }
-                return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
-            } catch (error) {
-                return {
-                    content: [{
-                        type: 'text',
-                        text: JSON.stringify({
-                            error: true,
-                            message: error.message,
-                            tool: name
-                        }, null, 2)
-                    }]
-                };
-            }
-        });
-    }
+            return this.workspaceContext.run({ workspace, session }, async () => {
+                const context = { progressToken: request.params._meta?.progressToken, signal: extra?.signal, session };
 
-    // File Operations
-    async createOrOverwriteFile({ file_path, content }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        await fs.mkdir(path.dirname(safePath), { recursive: true });
-        await fs.writeFile(safePath, content, 'utf-8');
-        return { success: true, file_path, bytes_written: Buffer.byteLength(content) };
-    }
+                try {
+                    const result = await this._invokeTool(name, args, () => this._callTool(name, args, context));
+                    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: true,
+                                message: error.message,
+                                tool: name,
+                                ...(error.details && { details: error.details })
+                            }, null, 2)
+                        }]
+                    };
+                }
+            });
+        });
 
-    async smartReplace({ file_path, old_code, new_code, match_mode = 'smart' }) {
-        try {
-            const safePath = this._resolveSandboxPath(file_path);
-            const content = await fs.readFile(safePath, 'utf8');
+        session.server.setRequestHandler(ListResourcesRequestSchema, async (request) =>
+            this.workspaceContext.run({ workspace: session.activeWorkspace, session }, () => this.listResources(request.params?.cursor)));
 
-            let newContent;
-            if (match_mode === 'exact') {
-                if (!content.includes(old_code)) {
-                    throw new Error('Exact match not found');
+        session.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: [
+                {
+                    uriTemplate: 'file:///{path}',
+                    name: 'Project file',
+                    description: 'A file in a workspace, by absolute path or relative to the active workspace'
+                },
+                {
+                    uriTemplate: 'git://{ref}/{path}',
+                    name: 'File at a git revision',
+                    description: 'A file as of a commit, branch or tag in the active workspace; URL-encode slashes in the ref'
                 }
-                newContent = content.replace(old_code, new_code);
-            } else if (match_mode === 'smart' || match_mode === 'fuzzy') {
-                // FIXED: Completely rewrite smart matching to avoid Promise issues
-                newContent = this._performSmartMatch(content, old_code, new_code);
-                if (newContent === null) {
-                    throw new Error('No match found with smart matching');
+            ]
+        }));
+
+        // Resource reads and subscriptions are audited as read_file_content calls, refusals included
+        session.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const args = { uri };
+            return this.workspaceContext.run({ workspace: this._resourceWorkspace(uri, session), session }, () =>
+                this._invokeTool('read_file_content', args, () => {
+                    const { workspace, safePath } = this._resolveResourceUri(uri, session);
+                    if (safePath) args.file_path = path.relative(workspace.root, safePath);
+                    return this.readResource(uri, safePath);
+                }));
+        });
+
+        session.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            return this.workspaceContext.run({ workspace: this._resourceWorkspace(uri, session), session }, () =>
+                this._invokeTool('read_file_content', { uri, subscribe: true }, async () => {
+                    this._subscribeResource(uri, session);
+                    return {};
+                }));
+        });
+
+        session.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            session.subscriptions.get(request.params.uri)?.close();
+            session.subscriptions.delete(request.params.uri);
+            return {};
+        });
+
+        session.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+            prompts: [
+                {
+                    name: 'review_diff',
+                    description: 'Review uncommitted changes in the working tree for bugs, risks and style',
+                    arguments: [
+                        { name: 'staged', description: '"true" to review only staged changes' },
+                        { name: 'focus', description: 'What to pay most attention to, e.g. "error handling"' }
+                    ]
+                },
+                {
+                    name: 'commit_message',
+                    description: 'Write a Conventional Commits message for the staged changes',
+                    arguments: [
+                        { name: 'type', description: 'Commit type to use, e.g. feat or fix; inferred when omitted' },
+                        { name: 'scope', description: 'Commit scope, e.g. a package or module name' }
+                    ]
+                },
+                {
+                    name: 'explain_file',
+                    description: 'Explain what a file does and how it fits into the project',
+                    arguments: [
+                        { name: 'file_path', description: 'File to explain, relative to the workspace', required: true },
+                        { name: 'focus', description: 'A function, section or question to concentrate on' }
+                    ]
+                },
+                {
+                    name: 'fix_failing_test',
+                    description: 'Run the tests and ask for a fix for whatever fails',
+                    arguments: [
+                        { name: 'command', description: 'Test command; defaults to the project\'s test script' },
+                        { name: 'test_file', description: 'Test file to look at first' }
+                    ]
                 }
-            } else {
-                throw new Error(`Invalid match_mode: ${match_mode}`);
-            }
+            ]
+        }));
 
-            // Ensure we have a valid string
-            if (typeof newContent !== 'string') {
-                throw new Error(`Internal error: newContent is ${typeof newContent}, expected string`);
-            }
+        session.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+            const { name, arguments: args = {} } = request.params;
+            return this.workspaceContext.run({ workspace: session.activeWorkspace, session }, async () => {
+                switch (name) {
+                    case 'review_diff': return this.reviewDiffPrompt(args);
+                    case 'commit_message': return this.commitMessagePrompt(args);
+                    case 'explain_file': return this.explainFilePrompt(args);
+                    case 'fix_failing_test': return this.fixFailingTestPrompt(args);
+                    default: throw new Error(`Unknown prompt: ${name}`);
+                }
+            });
+        });
+    }
 
-            // Write the file with the new content
-            await fs.writeFile(safePath, newContent, 'utf-8');
-            return { success: true, file_path, match_mode };
+    // Tools, and the tool work behind prompts and resources, all pass the policy check and land in the audit log here
+    async _invokeTool(name, args, run) {
+        const startedAt = Date.now();
+        try {
+            this._assertToolEnabled(name);
+            const result = await run();
+            await this._auditRecord(name, args, startedAt, { result });
+            return result;
         } catch (error) {
-            throw new Error(`smart_replace failed: ${error.message}`);
+            await this._auditRecord(name, args, startedAt, { error });
+            throw error;
         }
     }
 
-    _performSmartMatch(content, oldCode, newCode) {
-        // Direct match first
-        if (content.includes(oldCode)) {
-            return content.replace(oldCode, newCode);
+    async _callTool(name, args, context) {
+        if (args?.workspace !== undefined) this._getWorkspace(args.workspace);
+        let result;
+        switch (name) {
+            // File operations
+            case 'create_or_overwrite_file': result = await this.createOrOverwriteFile(args); break;
+            case 'smart_replace': result = await this.smartReplace(args); break;
+            case 'search_in_file': result = await this.searchInFile(args); break;
+            case 'get_code_context': result = await this.getCodeContext(args); break;
+            case 'delete_lines': result = await this.deleteLines(args); break;
+            case 'insert_lines': result = await this.insertLines(args); break;
+            case 'read_file_content': result = await this.readFileContent(args); break;
+            case 'list_directory': result = await this.listDirectory(args); break;
+            case 'delete_file': result = await this.deleteFile(args); break;
+            case 'move_or_rename_file': result = await this.moveOrRenameFile(args); break;
+            case 'append_prepend_content': result = await this.appendPrependContent(args); break;
+            case 'apply_edits': result = await this.applyEdits(args); break;
+            case 'search_across_files': result = await this.searchAcrossFiles(args); break;
+            case 'get_file_info': result = await this.getFileInfo(args); break;
+
+            // Edit journal
+            case 'list_edit_journal': result = await this.listEditJournal(args); break;
+            case 'undo_last_edit': result = await this.undoLastEdit(args); break;
+            case 'create_checkpoint': result = await this.createCheckpoint(args); break;
+            case 'restore_checkpoint': result = await this.restoreCheckpoint(args); break;
+
+            // Audit
+            case 'get_audit_log': result = await this.getAuditLog(args); break;
+
+            // Git operations
+            case 'git_status': result = await this.gitStatus(args); break;
+            case 'git_diff': result = await this.gitDiff(args); break;
+            case 'git_add': result = await this.gitAdd(args); break;
+            case 'git_commit': result = await this.gitCommit(args); break;
+            case 'git_branch': result = await this.gitBranch(args); break;
+            case 'git_checkout': result = await this.gitCheckout(args); break;
+            case 'git_pull': result = await this.gitPull(args); break;
+            case 'git_push': result = await this.gitPush(args); break;
+            case 'git_merge': result = await this.gitMerge(args); break;
+            case 'git_stash': result = await this.gitStash(args); break;
+            case 'git_log': result = await this.gitLog(args); break;
+
+            // Workspaces
+            case 'list_workspaces': result = await this.listWorkspaces(args, context); break;
+            case 'set_workspace': result = await this.setWorkspace(args, context); break;
+
+            // Special operations
+            case 'execute_shell_command': result = await this.executeShellCommand(args); break;
+            case 'start_job': result = await this.startJob(args, context); break;
+            case 'get_job_output': result = await this.getJobOutput(args, context); break;
+            case 'send_job_input': result = await this.sendJobInput(args); break;
+            case 'kill_job': result = await this.killJob(args); break;
+            case 'list_jobs': result = await this.listJobs(args); break;
+            case 'create_github_repo': result = await this.createGithubRepo(args); break;
+            case 'analyze_project': result = await this.analyzeProject(args); break;
+            case 'dependency_graph': result = await this.dependencyGraph(args); break;
+
+            // Code intelligence
+            case 'get_file_symbols': result = await this.getFileSymbols(args); break;
+            case 'replace_symbol': result = await this.replaceSymbol(args); break;
+            case 'find_definition': result = await this.findDefinition(args); break;
+            case 'find_references': result = await this.findReferences(args); break;
+            case 'rename_symbol': result = await this.renameSymbol(args); break;
+
+            default: throw new Error(`Unknown tool: ${name}`);
         }
+        return result;
+    }
 
-        // Fuzzy line-by-line match
+    // Diff and write helpers
+    _splitDiffLines(content) {
+        if (!content) return [];
         const lines = content.split('\n');
-        const oldLines = oldCode.trim().split('\n').map(l => l.trim());
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        } else {
+            // Tag a final line without newline so it never equals a terminated one
+            lines[lines.length - 1] += NO_EOL_MARKER;
+        }
+        return lines;
+    }
 
-        for (let i = 0; i <= lines.length - oldLines.length; i++) {
-            let match = true;
-            for (let j = 0; j < oldLines.length; j++) {
-                if (lines[i + j]?.trim() !== oldLines[j]) {
-                    match = false;
+    _diffLines(a, b) {
+        // Strip the common prefix and suffix, then run Myers on what remains
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > prefix && endB > prefix && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const A = a.slice(prefix, endA);
+        const B = b.slice(prefix, endB);
+        const ops = a.slice(0, prefix).map(line => [' ', line]);
+        const suffix = a.slice(endA).map(line => [' ', line]);
+
+        const N = A.length;
+        const M = B.length;
+        const max = N + M;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+        let middle = null;
+
+        for (let d = 0; d <= max && d <= MAX_DIFF_EDIT_DISTANCE; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < N && y < M && A[x] === B[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= N && y >= M) {
+                    middle = this._backtrackDiff(trace, A, B, d);
                     break;
                 }
             }
+            if (middle) break;
+        }
 
-            if (match) {
-                // Preserve indentation from first line
-                const indent = lines[i].match(/^(\s*)/)?.[1] || '';
-                const newLines = newCode.split('\n').map((line, idx) => {
-                    if (idx === 0) return line; // First line keeps its original indentation
-                    return line.trim() ? indent + line.trim() : line;
-                });
+        // Too many differences to trace cheaply: show it as one block replacement
+        if (!middle) {
+            middle = [...A.map(line => ['-', line]), ...B.map(line => ['+', line])];
+        }
 
-                // Replace matched lines with new lines
-                lines.splice(i, oldLines.length, ...newLines);
-                return lines.join('\n');
+        return [...ops, ...middle, ...suffix];
+    }
+
+    _backtrackDiff(trace, A, B, dEnd) {
+        const ops = [];
+        let x = A.length;
+        let y = B.length;
+
+        for (let d = dEnd; d > 0; d--) {
+            // trace[d] holds v for k in [-d-1, d+1] before step d ran
+            const v = trace[d];
+            const at = k => v[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push([' ', A[--x]]);
+                y--;
             }
+            if (x === prevX) ops.push(['+', B[--y]]);
+            else ops.push(['-', A[--x]]);
+        }
+        while (x > 0 && y > 0) {
+            ops.push([' ', A[--x]]);
+            y--;
         }
 
-        return null; // No match found
+        return ops.reverse();
     }
 
-    _smartMatch(content, oldCode, newCode) {
-        // Direct match
-        if (content.includes(oldCode)) {
-            return content.replace(oldCode, newCode);
+    _createUnifiedDiff(filePath, oldContent, newContent, contextLines = 3) {
+        const oldLines = this._splitDiffLines(oldContent);
+        const newLines = this._splitDiffLines(newContent);
+        const ops = this._diffLines(oldLines, newLines);
+
+        const stats = { additions: 0, deletions: 0 };
+        const changed = [];
+        ops.forEach(([type], idx) => {
+            if (type === '+') stats.additions++;
+            if (type === '-') stats.deletions++;
+            if (type !== ' ') changed.push(idx);
+        });
+        if (!changed.length) return { diff: '', stats };
+
+        // Group changes whose context windows overlap into hunks
+        const ranges = [];
+        for (const idx of changed) {
+            const last = ranges[ranges.length - 1];
+            if (last && idx - last[1] <= contextLines * 2) last[1] = idx;
+            else ranges.push([idx, idx]);
         }
 
-        // Fuzzy line-by-line match
-        const lines = content.split('\n');
-        const oldLines = oldCode.trim().split('\n').map(l => l.trim());
+        const output = [
+            `--- ${oldContent === null ? '/dev/null' : `a/${filePath}`}`,
+            `+++ ${newContent === null ? '/dev/null' : `b/${filePath}`}`
+        ];
 
-        for (let i = 0; i <= lines.length - oldLines.length; i++) {
-            let match = true;
-            for (let j = 0; j < oldLines.length; j++) {
-                if (lines[i + j].trim() !== oldLines[j]) {
-                    match = false;
-                    break;
+        // Line counters at each op index
+        let oldLine = 1;
+        let newLine = 1;
+        const positions = ops.map(([type]) => {
+            const pos = [oldLine, newLine];
+            if (type !== '+') oldLine++;
+            if (type !== '-') newLine++;
+            return pos;
+        });
+
+        for (const [first, last] of ranges) {
+            const start = Math.max(0, first - contextLines);
+            const end = Math.min(ops.length - 1, last + contextLines);
+            const hunk = ops.slice(start, end + 1);
+            const oldCount = hunk.filter(([type]) => type !== '+').length;
+            const newCount = hunk.filter(([type]) => type !== '-').length;
+            const oldStart = oldCount ? positions[start][0] : positions[start][0] - 1;
+            const newStart = newCount ? positions[start][1] : positions[start][1] - 1;
+
+            output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+            for (const [type, line] of hunk) {
+                if (line.endsWith(NO_EOL_MARKER)) {
+                    output.push(type + line.slice(0, -NO_EOL_MARKER.length), '\\ No newline at end of file');
+                } else {
+                    output.push(type + line);
                 }
             }
+        }
 
-            if (match) {
-                const indent = lines[i].match(/^(\s*)/)[1];
-                const newLines = newCode.split('\n').map(line =>
-                    line.trim() ? indent + line : line
-                );
-                lines.splice(i, oldLines.length, ...newLines);
-                return lines.join('\n');
+        let diff = output.join('\n') + '\n';
+        if (diff.length > MAX_DIFF_CHARS) {
+            diff = diff.slice(0, MAX_DIFF_CHARS) + '\n... diff truncated ...\n';
+            stats.truncated = true;
+        }
+        return { diff, stats };
+    }
+
+    // Text encoding, BOM and line-ending handling
+    _decodeText(buffer) {
+        let encoding = 'utf-8';
+        let bom = false;
+        let text;
+
+        if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+            bom = true;
+            text = buffer.subarray(3).toString('utf8');
+        } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+            encoding = 'utf-16le';
+            bom = true;
+            text = buffer.subarray(2).toString('utf16le');
+        } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+            encoding = 'utf-16be';
+            bom = true;
+            text = Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+        } else {
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            } catch {
+                // Not valid UTF-8: treat as Latin-1 so every byte round-trips
+                encoding = 'latin1';
+                text = buffer.toString('latin1');
             }
         }
 
-        return null;
+        const newlines = (text.match(/\n/g) || []).length;
+        const crlf = (text.match(/\r\n/g) || []).length;
+        let eol = 'none';
+        if (crlf && crlf < newlines) eol = 'mixed';
+        else if (crlf) eol = 'crlf';
+        else if (newlines) eol = 'lf';
+
+        // Tools work on LF text; mixed files are left untouched so no line changes silently
+        const content = eol === 'crlf' ? text.replace(/\r\n/g, '\n') : text;
+        return { content, format: { encoding, bom, eol } };
     }
 
-    async searchInFile({ file_path, search_text, case_sensitive = true, use_regex = false, context_lines = 0 }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
-        const matches = [];
+    _encodeText(content, format = DEFAULT_TEXT_FORMAT) {
+        const warnings = [];
+        let eol = NORMALIZE_EOL || format.eol;
+        if (eol === 'none') eol = 'lf';
 
-        let searchRegex;
-        if (use_regex) {
-            searchRegex = new RegExp(search_text, case_sensitive ? 'g' : 'gi');
-        } else {
-            const escaped = search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            searchRegex = new RegExp(escaped, case_sensitive ? 'g' : 'gi');
+        let text = content;
+        if (NORMALIZE_EOL) text = text.replace(/\r\n/g, '\n');
+        if (eol === 'crlf') text = text.replace(/\r?\n/g, '\r\n');
+
+        let encoding = format.encoding;
+        if (encoding === 'latin1' && /[^\u0000-ÿ]/.test(text)) {
+            warnings.push('Content has characters outside Latin-1; file re-encoded as UTF-8');
+            encoding = 'utf-8';
         }
 
-        lines.forEach((line, index) => {
-            searchRegex.lastIndex = 0;
+        let body;
+        if (encoding === 'utf-16le') body = Buffer.from(text, 'utf16le');
+        else if (encoding === 'utf-16be') body = Buffer.from(text, 'utf16le').swap16();
+        else if (encoding === 'latin1') body = Buffer.from(text, 'latin1');
+        else body = Buffer.from(text, 'utf8');
 
-            if (searchRegex.test(line)) {
-                const match = {
-                    line_number: index + 1,
-                    content: line
-                };
+        const boms = { 'utf-8': [0xef, 0xbb, 0xbf], 'utf-16le': [0xff, 0xfe], 'utf-16be': [0xfe, 0xff] };
+        const buffer = format.bom && boms[encoding] ? Buffer.concat([Buffer.from(boms[encoding]), body]) : body;
+        return { buffer, warnings };
+    }
+
+    // Paged reads decode one slice of a file at a time, in the encoding its first bytes suggest
+    async _peekTextFormat(safePath, size) {
+        const sample = await this._readBytes(safePath, 0, Math.min(size, READ_CHUNK_BYTES));
+        const utf16 = (sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff);
+        const complete = sample.length >= size || utf16 ? sample : sample.subarray(0, this._textBoundary(sample, 'utf-8'));
+        const { format } = this._decodeText(complete);
+        const bomLength = !format.bom ? 0 : format.encoding === 'utf-8' ? 3 : 2;
+        return { ...format, bomLength, newline: this._newlineBytes(format.encoding) };
+    }
+
+    _decodeBytes(buffer, encoding) {
+        if (encoding === 'utf-16le') return buffer.toString('utf16le');
+        if (encoding === 'utf-16be') return Buffer.from(buffer).swap16().toString('utf16le');
+        return buffer.toString(encoding === 'latin1' ? 'latin1' : 'utf8');
+    }
+
+    _newlineBytes(encoding) {
+        if (encoding === 'utf-16le') return Buffer.from([0x0a, 0x00]);
+        if (encoding === 'utf-16be') return Buffer.from([0x00, 0x0a]);
+        return Buffer.from([0x0a]);
+    }
+
+    // Index of the first line break at or after `from` that starts on a character boundary, or -1
+    _findNewline(chunk, newline, from = 0) {
+        let index = chunk.indexOf(newline, from);
+        while (index !== -1 && index % newline.length) index = chunk.indexOf(newline, index + 1);
+        return index;
+    }
+
+    _findLastNewline(chunk, newline) {
+        let index = chunk.lastIndexOf(newline);
+        while (index > 0 && index % newline.length) index = chunk.lastIndexOf(newline, index - 1);
+        return index % newline.length ? -1 : index;
+    }
+
+    // Length of the longest prefix that does not end inside a character (never 0, so paging always advances)
+    _textBoundary(chunk, encoding) {
+        if (encoding === 'latin1') return chunk.length;
+        if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+            let cut = chunk.length - (chunk.length % 2);
+            // Keep surrogate pairs together
+            const high = encoding === 'utf-16le' ? chunk[cut - 1] : chunk[cut - 2];
+            if (cut > 2 && high >= 0xd8 && high <= 0xdb) cut -= 2;
+            return Math.max(cut, Math.min(2, chunk.length));
+        }
+        let lead = chunk.length - 1;
+        while (lead > 0 && (chunk[lead] & 0xc0) === 0x80) lead--;
+        const width = chunk[lead] >= 0xf0 ? 4 : chunk[lead] >= 0xe0 ? 3 : chunk[lead] >= 0xc0 ? 2 : 1;
+        return lead + width > chunk.length && lead > 0 ? lead : chunk.length;
+    }
+
+    async _readTextFile(safePath) {
+        const buffer = await fs.readFile(safePath);
+        return { ...this._decodeText(buffer), buffer };
+    }
+
+    async _readTextIfExists(safePath) {
+        try {
+            return await this._readTextFile(safePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    _hashContent(content) {
+        return createHash('sha256').update(content).digest('hex');
+    }
+
+    async _assertExpectedHash(safePath, file_path, expected_hash) {
+        if (!expected_hash) return;
+
+        let current;
+        try {
+            current = this._hashContent(await fs.readFile(safePath));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new Error(`Conflict: ${file_path} no longer exists but expected_hash was given. Re-check the file before editing`);
+        }
+        if (current !== expected_hash) {
+            throw new Error(`Conflict: ${file_path} changed since it was read (expected hash ${expected_hash.slice(0, 12)}…, current ${current.slice(0, 12)}…). Re-read the file and retry`);
+        }
+    }
+
+    async _commitFileChange({ safePath, file_path, oldContent, newContent, format, dry_run = false, operation, expected_hash }) {
+        await this._assertExpectedHash(safePath, file_path, expected_hash);
+        const { diff, stats } = this._createUnifiedDiff(file_path, oldContent, newContent);
+        const { buffer, warnings } = this._encodeText(newContent, format);
+
+        if (!dry_run) {
+            const entry = await this._journalRecord(operation, [{ safePath, file_path, after_hash: this._hashContent(buffer) }]);
+            try {
+                if (oldContent === null) {
+                    await fs.mkdir(path.dirname(safePath), { recursive: true });
+                }
+                await fs.writeFile(safePath, buffer);
+            } catch (error) {
+                await this._journalDropIfUnchanged(entry);
+                throw error;
+            }
+        }
+
+        return {
+            dry_run,
+            diff,
+            diff_stats: stats,
+            content_hash: this._hashContent(buffer),
+            ...(warnings.length && { warnings })
+        };
+    }
+
+    // Edit journal
+    async _journalRecord(operation, files, renames = []) {
+        const entry = {
+            // Ids are unique across journals, since every journal keeps its backups in JOURNAL_DIR
+            id: this.nextJournalId++,
+            workspace: this.workspace.name,
+            operation,
+            timestamp: new Date().toISOString(),
+            files: [],
+            renames,
+            bytes: 0
+        };
+
+        await fs.mkdir(JOURNAL_DIR, { recursive: true });
+        for (const [idx, { safePath, file_path, after_hash }] of files.entries()) {
+            // after_hash is the content the edit leaves behind (null when it removes the file), checked again before undoing it
+            const record = { path: safePath, file_path, existed: false, backup: null, after_hash };
+            try {
+                const stats = await fs.stat(safePath);
+                if (!stats.isFile()) continue;
+                record.existed = true;
+                if (stats.size > JOURNAL_MAX_BYTES) {
+                    record.skipped = `larger than journal cap (${stats.size} bytes)`;
+                } else {
+                    record.backup = path.join(JOURNAL_DIR, `${entry.id}-${idx}.bak`);
+                    await fs.copyFile(safePath, record.backup);
+                    entry.bytes += stats.size;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            entry.files.push(record);
+        }
+
+        this.journal.entries.push(entry);
+        this.journal.totalBytes += entry.bytes;
+
+        // Evict the oldest entries once the journal outgrows its cap
+        while (this.journal.totalBytes > JOURNAL_MAX_BYTES && this.journal.entries.length > 1) {
+            const evicted = this.journal.entries.shift();
+            this.journal.evictedId = evicted.id;
+            await this._journalDiscard(evicted);
+        }
+        return entry;
+    }
+
+    async _journalDrop(entry) {
+        const index = this.journal.entries.indexOf(entry);
+        if (index === -1) return;
+        this.journal.entries.splice(index, 1);
+        await this._journalDiscard(entry);
+    }
+
+    async _journalDropIfUnchanged(entry) {
+        // A failed edit that left every file as it was must not leave an undo step behind
+        try {
+            for (const record of entry.files) {
+                if (record.skipped) return;
+                let current = null;
+                try {
+                    current = await this._hashFile(record.path);
+                } catch (error) {
+                    if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+                }
+                if (current !== (record.existed ? await this._hashFile(record.backup) : null)) return;
+            }
+        } catch {
+            return;
+        }
+        await this._journalDrop(entry);
+    }
+
+    async _journalDiscard(entry) {
+        this.journal.totalBytes -= entry.bytes;
+        for (const record of entry.files) {
+            if (record.backup) await fs.rm(record.backup, { force: true });
+        }
+    }
+
+    async _journalConflicts(entry) {
+        const conflicts = [];
+        for (const record of entry.files) {
+            if (record.after_hash === undefined) continue;
+            let current = null;
+            try {
+                current = await this._hashFile(record.path);
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+            }
+            if (current !== record.after_hash) {
+                conflicts.push({ file_path: record.file_path, reason: current === null ? 'missing since the edit' : 'modified since the edit' });
+            }
+        }
+        return conflicts;
+    }
+
+    async _journalRevert(entry) {
+        const restored = [];
+        const failed = [];
+
+        // Undo renames newest-first, then put back file snapshots
+        for (const { from, to, from_path, to_path } of [...entry.renames].reverse()) {
+            try {
+                await fs.mkdir(path.dirname(from), { recursive: true });
+                await fs.rename(to, from);
+                restored.push({ file_path: from_path, action: `moved back from ${to_path}` });
+            } catch (error) {
+                failed.push({ file_path: from_path, error: error.message });
+            }
+        }
+
+        for (const record of entry.files) {
+            try {
+                if (record.skipped) throw new Error(`not journaled: ${record.skipped}`);
+                if (record.existed) {
+                    await fs.mkdir(path.dirname(record.path), { recursive: true });
+                    await fs.copyFile(record.backup, record.path);
+                    restored.push({ file_path: record.file_path, action: 'restored' });
+                } else {
+                    await fs.rm(record.path, { force: true });
+                    restored.push({ file_path: record.file_path, action: 'removed' });
+                }
+            } catch (error) {
+                failed.push({ file_path: record.file_path, error: error.message });
+            }
+        }
+
+        await this._journalDiscard(entry);
+        return { id: entry.id, operation: entry.operation, restored, failed };
+    }
+
+    async listEditJournal({ limit = 20 }) {
+        const entries = this.journal.entries.slice(-limit).reverse().map(entry => ({
+            id: entry.id,
+            workspace: entry.workspace,
+            operation: entry.operation,
+            timestamp: entry.timestamp,
+            files: [
+                ...entry.files.map(f => ({ file_path: f.file_path, existed: f.existed, ...(f.skipped && { skipped: f.skipped }) })),
+                ...entry.renames.map(r => ({ file_path: r.from_path, moved_to: r.to_path }))
+            ]
+        }));
+
+        return {
+            success: true,
+            journal_dir: JOURNAL_DIR,
+            total_entries: this.journal.entries.length,
+            total_bytes: this.journal.totalBytes,
+            max_bytes: JOURNAL_MAX_BYTES,
+            checkpoints: [...this.journal.checkpoints].map(([name, checkpoint]) => ({ name, ...checkpoint })),
+            entries
+        };
+    }
+
+    async _undoEntries(shouldUndo, force) {
+        // Newest first; stop at an entry whose files were changed after it, unless forced
+        const undone = [];
+        let entry;
+        while ((entry = this.journal.entries[this.journal.entries.length - 1]) && shouldUndo(entry, undone.length)) {
+            if (!force) {
+                const conflicts = await this._journalConflicts(entry);
+                if (conflicts.length) {
+                    const blocked = { id: entry.id, operation: entry.operation, conflicts };
+                    if (!undone.length) {
+                        const error = new Error(`Edit #${entry.id} (${entry.operation}) was not undone: ` +
+                            `${conflicts.map(c => `${c.file_path} ${c.reason}`).join(', ')}. Pass force: true to overwrite those changes`);
+                        error.details = blocked;
+                        throw error;
+                    }
+                    return { undone, blocked };
+                }
+            }
+            this.journal.entries.splice(this.journal.entries.indexOf(entry), 1);
+            undone.push(await this._journalRevert(entry));
+        }
+        return { undone };
+    }
+
+    async undoLastEdit({ count = 1, force = false }) {
+        if (!this.journal.entries.length) {
+            throw new Error('Edit journal is empty, nothing to undo');
+        }
+
+        const { undone, blocked } = await this._undoEntries((entry, done) => done < count, force);
+        return {
+            success: !blocked && undone.every(u => !u.failed.length),
+            undone,
+            ...(blocked && { blocked }),
+            remaining_entries: this.journal.entries.length
+        };
+    }
+
+    async createCheckpoint({ name }) {
+        const lastEntry = this.journal.entries[this.journal.entries.length - 1];
+        const checkpoint = { after_entry: lastEntry ? lastEntry.id : this.nextJournalId - 1, created: new Date().toISOString() };
+        this.journal.checkpoints.set(name, checkpoint);
+        return { success: true, name, ...checkpoint };
+    }
+
+    async restoreCheckpoint({ name, force = false }) {
+        const checkpoint = this.journal.checkpoints.get(name);
+        if (!checkpoint) {
+            const known = [...this.journal.checkpoints.keys()];
+            throw new Error(`Checkpoint '${name}' not found. Known checkpoints: ${known.join(', ') || 'none'}`);
+        }
+
+        if (this.journal.evictedId > checkpoint.after_entry) {
+            throw new Error(`Checkpoint '${name}' can no longer be restored: older journal entries were evicted by the ${JOURNAL_MAX_BYTES} byte cap`);
+        }
+
+        const { undone, blocked } = await this._undoEntries(entry => entry.id > checkpoint.after_entry, force);
+        return {
+            success: !blocked && undone.every(u => !u.failed.length),
+            checkpoint: name,
+            undone,
+            ...(blocked && { blocked })
+        };
+    }
+
+    // File discovery
+    _parseIgnoreRules(text, base) {
+        const rules = [];
+        for (let line of text.split(/\r?\n/)) {
+            line = line.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) continue;
+
+            const negate = line.startsWith('!');
+            if (negate) line = line.slice(1);
+            if (/^\\[#!]/.test(line)) line = line.slice(1);
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.slice(0, -1);
+            if (!line) continue;
+
+            // A slash anywhere but the end anchors the pattern to the ignore file's directory
+            const anchored = line.includes('/');
+            const pattern = anchored ? line.replace(/^\//, '') : `**/${line}`;
+            rules.push({ pattern, negate, dirOnly, base });
+        }
+        return rules;
+    }
+
+    async _readIgnoreRules(dir) {
+        const base = path.relative(this.workspace.root, dir).split(path.sep).join('/');
+        const rules = [];
+        for (const name of IGNORE_FILES) {
+            try {
+                rules.push(...this._parseIgnoreRules(await fs.readFile(path.join(dir, name), 'utf8'), base));
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+            }
+        }
+        return rules;
+    }
+
+    _isIgnored(relativePath, isDirectory, rules) {
+        // As in git, the last matching rule wins, so deeper ignore files override shallower ones
+        let ignored = false;
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+            const candidate = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+            if (minimatch(candidate, rule.pattern, { dot: true })) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+
+    async _rootIgnoreRules(startDir) {
+        const rules = this._parseIgnoreRules(DEFAULT_IGNORE_RULES.join('\n'), '');
+        try {
+            rules.push(...this._parseIgnoreRules(await fs.readFile(path.join(this.workspace.root, '.git', 'info', 'exclude'), 'utf8'), ''));
+        } catch (error) {
+            if (!['ENOENT', 'ENOTDIR'].includes(error.code)) throw error;
+        }
+
+        // Walks that start below the root still inherit every ignore file above them. As in git, nothing
+        // below an ignored directory can be brought back, so a start inside one yields no rules at all
+        const parts = path.relative(this.workspace.root, startDir).split(path.sep).filter(Boolean);
+        for (let i = 0; i < parts.length; i++) {
+            rules.push(...await this._readIgnoreRules(path.join(this.workspace.root, ...parts.slice(0, i))));
+            if (this._isIgnored(parts.slice(0, i + 1).join('/'), true, rules)) return null;
+        }
+        return rules;
+    }
+
+    /**
+     * Walks a directory inside the workspace, yielding { path, relative, name, dirent, depth } for every
+     * entry that is not ignored. Directories come before their contents; .git and denied paths are never
+     * entered, and symlinked directories are listed but not followed. A start inside an ignored directory
+     * yields nothing unless respectGitignore is off.
+     */
+    async *_walkProject(startDir, { respectGitignore = true, maxDepth = Infinity, includeHidden = true } = {}) {
+        const inheritedRules = respectGitignore ? await this._rootIgnoreRules(startDir) : [];
+        if (!inheritedRules) return;
+
+        const walk = async function* (dir, depth, parentRules) {
+            const rules = respectGitignore ? [...parentRules, ...await this._readIgnoreRules(dir)] : parentRules;
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (['ENOENT', 'EACCES', 'EPERM', 'ENOTDIR'].includes(error.code)) return;
+                throw error;
+            }
+            entries.sort((a, b) => a.name.localeCompare(b.name));
+
+            for (const dirent of entries) {
+                if (dirent.name === '.git') continue;
+                if (!includeHidden && dirent.name.startsWith('.')) continue;
+
+                const fullPath = path.join(dir, dirent.name);
+                const relative = path.relative(this.workspace.root, fullPath).split(path.sep).join('/');
+                if (respectGitignore && this._isIgnored(relative, dirent.isDirectory(), rules)) continue;
+                if (this._isPathDenied(fullPath)) continue;
+
+                yield { path: fullPath, relative, name: dirent.name, dirent, depth };
+                if (dirent.isDirectory() && depth < maxDepth) {
+                    yield* walk.call(this, fullPath, depth + 1, rules);
+                }
+            }
+        };
+
+        yield* walk.call(this, startDir, 1, inheritedRules);
+    }
+
+    // Audit log
+    _auditLogFiles(auditLog = this.workspace.auditLog) {
+        return [auditLog, ...Array.from({ length: AUDIT_MAX_FILES }, (_, i) => `${auditLog}.${i + 1}`)];
+    }
+
+    _redactForAudit(value, key = '') {
+        if (typeof value === 'string') {
+            if (SECRET_KEY_PATTERN.test(key)) return '[REDACTED]';
+            let text = value;
+            for (const [pattern, replacement] of SECRET_VALUE_PATTERNS) text = text.replace(pattern, replacement);
+            if (text.length > AUDIT_MAX_ARG_CHARS) {
+                text = `${text.slice(0, AUDIT_MAX_ARG_CHARS)}… [${value.length} chars, sha256:${this._hashContent(value).slice(0, 16)}]`;
+            }
+            return text;
+        }
+        if (Array.isArray(value)) return value.map(item => this._redactForAudit(item, key));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this._redactForAudit(v, k)]));
+        }
+        return value;
+    }
+
+    _auditPaths(value, paths = new Set()) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this._auditPaths(item, paths));
+        } else if (value && typeof value === 'object') {
+            for (const [key, item] of Object.entries(value)) {
+                if (AUDIT_PATH_KEYS.includes(key)) {
+                    [].concat(item).filter(p => typeof p === 'string').forEach(p => paths.add(p));
+                } else if (item && typeof item === 'object') {
+                    this._auditPaths(item, paths);
+                }
+            }
+        }
+        return paths;
+    }
+
+    _auditDiffStats(value, totals = { files: 0, additions: 0, deletions: 0 }) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this._auditDiffStats(item, totals));
+        } else if (value && typeof value === 'object') {
+            if (value.diff_stats) {
+                totals.files++;
+                totals.additions += value.diff_stats.additions;
+                totals.deletions += value.diff_stats.deletions;
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (key !== 'diff_stats' && item && typeof item === 'object') this._auditDiffStats(item, totals);
+            }
+        }
+        return totals;
+    }
+
+    async _auditRecord(tool, args = {}, startedAt, { result, error }) {
+        const { workspace } = this;
+        const diffStats = result ? this._auditDiffStats(result) : null;
+        const entry = {
+            timestamp: new Date(startedAt).toISOString(),
+            workspace: workspace.name,
+            tool,
+            arguments: this._redactForAudit(args),
+            paths: [...this._auditPaths(args)],
+            duration_ms: Date.now() - startedAt,
+            status: error ? 'error' : result?.success === false ? 'failed' : 'success',
+            ...(error && { error: this._redactForAudit(error.message) }),
+            ...(args?.dry_run && { dry_run: true }),
+            ...(diffStats?.files && { diff_stats: diffStats })
+        };
+
+        // Appends are chained so concurrent calls never interleave or race a rotation
+        workspace.audit.queue = workspace.audit.queue.then(() => this._auditAppend(workspace, `${JSON.stringify(entry)}\n`)).catch(appendError => {
+            console.error(`⚠️  Audit log write failed: ${appendError.message}`);
+        });
+        await workspace.audit.queue;
+    }
+
+    async _auditAppend({ auditLog, audit }, line) {
+        if (audit.size === null) {
+            await fs.mkdir(path.dirname(auditLog), { recursive: true });
+            audit.size = await fs.stat(auditLog).then(stats => stats.size, () => 0);
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (audit.size > 0 && audit.size + bytes > AUDIT_MAX_BYTES) {
+            const files = this._auditLogFiles(auditLog);
+            for (let i = files.length - 1; i > 0; i--) {
+                await fs.rename(files[i - 1], files[i]).catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+            }
+            audit.size = 0;
+        }
+
+        await fs.appendFile(auditLog, line);
+        audit.size += bytes;
+    }
+
+    async getAuditLog({ limit = 50, tool, status, path: pathFilter, since }) {
+        const sinceTime = since ? Date.parse(since) : null;
+        if (since && Number.isNaN(sinceTime)) {
+            throw new Error(`Invalid since timestamp: ${since}`);
+        }
+
+        // Wait for pending writes so the caller sees everything up to this call
+        await this.workspace.audit.queue;
+
+        // Files and lines are read newest first, so the scan stops as soon as the page is full or older than `since`
+        const entries = [];
+        let truncated = false;
+        scan: for (const file of this._auditLogFiles()) {
+            for await (const line of this._readLinesBackward(file)) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) break scan;
+                if (tool && entry.tool !== tool) continue;
+                if (status && entry.status !== status) continue;
+                if (pathFilter && !entry.paths?.some(p => p.includes(pathFilter))) continue;
+                if (entries.length >= limit) {
+                    truncated = true;
+                    break scan;
+                }
+                entries.push(entry);
+            }
+        }
+
+        return { success: true, log_file: this.workspace.auditLog, entries, total: entries.length, truncated };
+    }
+
+    // Non-empty lines from the end of a file back to its start, reading one chunk at a time
+    async *_readLinesBackward(file) {
+        let handle;
+        try {
+            handle = await fs.open(file, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        try {
+            let position = (await handle.stat()).size;
+            let tail = Buffer.alloc(0);
+            while (position > 0) {
+                const length = Math.min(READ_CHUNK_BYTES, position);
+                position -= length;
+                const chunk = Buffer.alloc(length);
+                await handle.read(chunk, 0, length, position);
+
+                const buffer = Buffer.concat([chunk, tail]);
+                const lines = [];
+                let end = buffer.length;
+                for (let newline = buffer.lastIndexOf(0x0a, end - 1); newline !== -1; newline = buffer.lastIndexOf(0x0a, end - 1)) {
+                    lines.push(buffer.subarray(newline + 1, end));
+                    end = newline;
+                    if (end === 0) break;
+                }
+                // Whatever precedes the first line break may continue in the previous chunk
+                tail = buffer.subarray(0, end);
+                for (const line of lines) {
+                    if (line.length) yield line.toString('utf8');
+                }
+            }
+            if (tail.length) yield tail.toString('utf8');
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // File Operations
+    async createOrOverwriteFile({ file_path, content, dry_run = false, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+        const existing = await this._readTextIfExists(safePath);
+        const change = await this._commitFileChange({
+            safePath,
+            file_path,
+            oldContent: existing?.content ?? null,
+            newContent: content.replace(/\r\n/g, '\n'),
+            format: existing?.format,
+            dry_run,
+            operation: 'create_or_overwrite_file',
+            expected_hash
+        });
+        // Bytes on disk, after re-encoding into the file's own encoding, BOM and line endings
+        const bytes_written = dry_run ? 0 : (await fs.stat(safePath)).size;
+        return { success: true, file_path, created: existing === null, bytes_written, ...change };
+    }
+
+    async smartReplace({ file_path, old_code, new_code, match_mode = 'smart', occurrence, replace_all = false, within_lines, similarity_threshold, dry_run = false, expected_hash }) {
+        try {
+            const safePath = this._resolveSandboxPath(file_path, 'write');
+            const { content, format } = await this._readTextFile(safePath);
+            const result = this._computeSmartReplace(content, old_code, new_code, match_mode, { occurrence, replace_all, within_lines, similarity_threshold });
+
+            // Write the file with the new content
+            const change = await this._commitFileChange({ safePath, file_path, oldContent: content, newContent: result.content, format, dry_run, operation: 'smart_replace', expected_hash });
+            return {
+                success: true,
+                file_path,
+                match_mode,
+                matches_found: result.matches_found,
+                replaced_ranges: result.replaced_ranges,
+                ...change
+            };
+        } catch (error) {
+            const wrapped = new Error(`smart_replace failed: ${error.message}`);
+            wrapped.details = error.details;
+            throw wrapped;
+        }
+    }
+
+    _computeSmartReplace(content, oldCode, newCode, matchMode = 'smart', { occurrence, replace_all = false, within_lines, similarity_threshold = FUZZY_SIMILARITY_THRESHOLD } = {}) {
+        if (!['exact', 'smart', 'fuzzy'].includes(matchMode)) {
+            throw new Error(`Invalid match_mode: ${matchMode}`);
+        }
+
+        // Direct match first, then whitespace-insensitive line matching,
+        // then (fuzzy only) per-line edit-distance similarity
+        let matches = this._findDirectMatches(content, oldCode);
+        if (!matches.length && matchMode !== 'exact') {
+            matches = this._findLineMatches(content, oldCode);
+        }
+        if (!matches.length && matchMode === 'fuzzy') {
+            const windows = this._scoreSimilarityWindows(content, oldCode, { minSimilarity: similarity_threshold });
+            matches = this._pickBestWindows(windows.filter(w => w.similarity >= similarity_threshold))
+                .sort((a, b) => a.start_line - b.start_line);
+        }
+        if (!matches.length) {
+            const messages = {
+                exact: 'Exact match not found',
+                smart: 'No match found with smart matching',
+                fuzzy: `No region reached similarity ${similarity_threshold}`
+            };
+            const error = new Error(`${messages[matchMode]}. See details.closest_matches for the nearest regions`);
+            const { regions, truncated } = this._closestRegions(content, oldCode);
+            error.details = { closest_matches: regions, ...(truncated && { search_truncated: true }) };
+            throw error;
+        }
+
+        const describe = list => list.map(m => {
+            const range = m.start_line === m.end_line ? `${m.start_line}` : `${m.start_line}-${m.end_line}`;
+            return m.similarity !== undefined ? `${range} (similarity ${m.similarity})` : range;
+        }).join(', ');
+
+        let candidates = matches;
+        if (within_lines) {
+            const { start_line = 1, end_line = Infinity } = within_lines;
+            candidates = matches.filter(m => m.start_line >= start_line && m.end_line <= end_line);
+            if (!candidates.length) {
+                throw new Error(`No match within lines ${start_line}-${end_line} (matches at lines ${describe(matches)})`);
+            }
+        }
+
+        let selected;
+        if (replace_all) {
+            selected = candidates;
+        } else if (occurrence !== undefined) {
+            if (occurrence < 1 || occurrence > candidates.length) {
+                throw new Error(`occurrence ${occurrence} requested but only ${candidates.length} match(es) found at lines ${describe(candidates)}`);
+            }
+            selected = [candidates[occurrence - 1]];
+        } else if (candidates.length > 1) {
+            throw new Error(`Ambiguous match: old_code found ${candidates.length} times at lines ${describe(candidates)}. Pass occurrence, replace_all or within_lines, or include more context`);
+        } else {
+            selected = candidates;
+        }
+
+        const newContent = selected[0].type === 'direct'
+            ? this._applyDirectMatches(content, selected, newCode)
+            : this._applyLineMatches(content, selected, newCode);
+
+        // Report where each replacement landed in the new content
+        const newLineCount = newCode.split('\n').length;
+        let delta = 0;
+        const replaced_ranges = selected.map(m => {
+            const start = m.start_line + delta;
+            delta += newLineCount - (m.end_line - m.start_line + 1);
+            const range = { start_line: start, end_line: start + newLineCount - 1 };
+            if (m.similarity !== undefined) range.similarity = m.similarity;
+            return range;
+        });
+
+        return { content: newContent, matches_found: candidates.length, replaced_ranges };
+    }
+
+    _findDirectMatches(content, oldCode) {
+        const matches = [];
+        if (!oldCode) return matches;
+
+        const oldLineSpan = oldCode.split('\n').length - 1;
+        let index = content.indexOf(oldCode);
+        let line = 1;
+        let scanned = 0;
+        while (index !== -1) {
+            for (; scanned < index; scanned++) {
+                if (content.charCodeAt(scanned) === 10) line++;
+            }
+            matches.push({ type: 'direct', start: index, end: index + oldCode.length, start_line: line, end_line: line + oldLineSpan });
+            index = content.indexOf(oldCode, index + oldCode.length);
+        }
+        return matches;
+    }
+
+    _findLineMatches(content, oldCode) {
+        const matches = [];
+        const lines = content.split('\n');
+        const oldLines = oldCode.trim().split('\n').map(l => l.trim());
+
+        for (let i = 0; i <= lines.length - oldLines.length; i++) {
+            let match = true;
+            for (let j = 0; j < oldLines.length; j++) {
+                if (lines[i + j]?.trim() !== oldLines[j]) {
+                    match = false;
+                    break;
+                }
+            }
+
+            if (match) {
+                matches.push({ type: 'lines', start_line: i + 1, end_line: i + oldLines.length });
+                i += oldLines.length - 1;
+            }
+        }
+        return matches;
+    }
+
+    _levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = new Uint32Array(b.length + 1).map((_, j) => j);
+        let current = new Uint32Array(b.length + 1);
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            [previous, current] = [current, previous];
+        }
+        return previous[b.length];
+    }
+
+    _lineSimilarity(a, b) {
+        if (a === b) return 1;
+        // Very long lines are compared on their prefix to bound the cost
+        const left = a.slice(0, FUZZY_MAX_LINE_LENGTH);
+        const right = b.slice(0, FUZZY_MAX_LINE_LENGTH);
+        const longest = Math.max(left.length, right.length);
+        return 1 - this._levenshtein(left, right) / longest;
+    }
+
+    _scoreSimilarityWindows(content, oldCode, { minSimilarity = 0, wanted = Infinity } = {}) {
+        const lines = content.split('\n').map(l => l.trim().slice(0, FUZZY_MAX_LINE_LENGTH));
+        const oldLines = oldCode.trim().split('\n').map(l => l.trim().slice(0, FUZZY_MAX_LINE_LENGTH));
+
+        // Edit distance is at least the difference in length, which caps each window's similarity cheaply
+        const candidates = [];
+        for (let i = 0; i <= lines.length - oldLines.length; i++) {
+            let total = 0;
+            for (let j = 0; j < oldLines.length; j++) {
+                const longest = Math.max(lines[i + j].length, oldLines[j].length);
+                total += longest ? 1 - Math.abs(lines[i + j].length - oldLines[j].length) / longest : 1;
+            }
+            candidates.push({ index: i, bound: total / oldLines.length });
+        }
+        candidates.sort((a, b) => b.bound - a.bound);
+
+        // Score the most promising windows first; stop once no unscored window can reach minSimilarity
+        // or displace the best `wanted`, or when the budget runs out
+        const windows = [];
+        let cells = 0;
+        for (const { index: i, bound } of candidates) {
+            if (bound < minSimilarity) break;
+            if (windows.length >= wanted && windows.length % 64 === 0 &&
+                this._pickBestWindows(windows.filter(w => w.similarity >= bound), wanted).length >= wanted) break;
+            if (cells > FUZZY_MAX_SCORE_CELLS) {
+                windows.truncated = true;
+                break;
+            }
+
+            let total = 0;
+            for (let j = 0; j < oldLines.length; j++) {
+                cells += lines[i + j].length * oldLines[j].length;
+                total += this._lineSimilarity(lines[i + j], oldLines[j]);
+            }
+            windows.push({
+                type: 'lines',
+                start_line: i + 1,
+                end_line: i + oldLines.length,
+                similarity: Math.round((total / oldLines.length) * 1000) / 1000
+            });
+        }
+        return windows;
+    }
+
+    _pickBestWindows(windows, limit = Infinity) {
+        // Highest similarity first, skipping windows that overlap one already taken
+        const picked = [];
+        for (const window of [...windows].sort((a, b) => b.similarity - a.similarity)) {
+            if (picked.length >= limit) break;
+            if (picked.some(p => window.start_line <= p.end_line && window.end_line >= p.start_line)) continue;
+            picked.push(window);
+        }
+        return picked;
+    }
+
+    _closestRegions(content, oldCode, count = 3) {
+        const lines = content.split('\n');
+        const oldLines = oldCode.trim().split('\n');
+        const scored = this._scoreSimilarityWindows(content, oldCode, { wanted: count });
+
+        const regions = this._pickBestWindows(scored, count).map(window => {
+            const region = lines.slice(window.start_line - 1, window.end_line);
+            const ops = this._diffLines(oldLines.map(l => l.trim()), region.map(l => l.trim()));
+            return {
+                start_line: window.start_line,
+                end_line: window.end_line,
+                similarity: window.similarity,
+                // '-' lines come from old_code, '+' lines from the file
+                diff: ops.map(([type, line]) => `${type} ${line}`).join('\n')
+            };
+        });
+        return { regions, truncated: Boolean(scored.truncated) };
+    }
+
+    _applyDirectMatches(content, matches, newCode) {
+        let result = content;
+        for (const m of [...matches].reverse()) {
+            result = result.slice(0, m.start) + newCode + result.slice(m.end);
+        }
+        return result;
+    }
+
+    _applyLineMatches(content, matches, newCode) {
+        const lines = content.split('\n');
+        for (const m of [...matches].reverse()) {
+            // Preserve indentation from first line
+            const indent = lines[m.start_line - 1].match(/^(\s*)/)?.[1] || '';
+            const newLines = newCode.split('\n').map((line, idx) => {
+                if (idx === 0) return line; // First line keeps its original indentation
+                return line.trim() ? indent + line.trim() : line;
+            });
+
+            // Replace matched lines with new lines
+            lines.splice(m.start_line - 1, m.end_line - m.start_line + 1, ...newLines);
+        }
+        return lines.join('\n');
+    }
+
+    _smartMatch(content, oldCode, newCode) {
+        // Direct match
+        if (content.includes(oldCode)) {
+            return content.replace(oldCode, newCode);
+        }
+
+        // Fuzzy line-by-line match
+        const lines = content.split('\n');
+        const oldLines = oldCode.trim().split('\n').map(l => l.trim());
+
+        for (let i = 0; i <= lines.length - oldLines.length; i++) {
+            let match = true;
+            for (let j = 0; j < oldLines.length; j++) {
+                if (lines[i + j].trim() !== oldLines[j]) {
+                    match = false;
+                    break;
+                }
+            }
+
+            if (match) {
+                const indent = lines[i].match(/^(\s*)/)[1];
+                const newLines = newCode.split('\n').map(line =>
+                    line.trim() ? indent + line : line
+                );
+                lines.splice(i, oldLines.length, ...newLines);
+                return lines.join('\n');
+            }
+        }
+
+        return null;
+    }
+
+    async searchInFile({ file_path, search_text, case_sensitive = true, use_regex = false, context_lines = 0 }) {
+        const safePath = this._resolveSandboxPath(file_path);
+        const { content, buffer } = await this._readTextFile(safePath);
+        const lines = content.split('\n');
+        const matches = [];
+
+        let searchRegex;
+        if (use_regex) {
+            searchRegex = new RegExp(search_text, case_sensitive ? 'g' : 'gi');
+        } else {
+            const escaped = search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            searchRegex = new RegExp(escaped, case_sensitive ? 'g' : 'gi');
+        }
+
+        lines.forEach((line, index) => {
+            searchRegex.lastIndex = 0;
+
+            if (searchRegex.test(line)) {
+                const match = {
+                    line_number: index + 1,
+                    content: line
+                };
+
+                // Fixed context_lines implementation
+                if (context_lines > 0) {
+                    const start = Math.max(0, index - context_lines);
+                    const end = Math.min(lines.length - 1, index + context_lines);
+
+                    match.context = [];
+                    for (let i = start; i <= end; i++) {
+                        match.context.push({
+                            line_number: i + 1,
+                            content: lines[i],
+                            is_match: i === index
+                        });
+                    }
+                }
+
+                matches.push(match);
+            }
+        });
+
+        return { success: true, file_path, search_text, matches, total_matches: matches.length, content_hash: this._hashContent(buffer) };
+    }
+    async getCodeContext({ file_path, line_number, context_lines = 5 }) {
+        const safePath = this._resolveSandboxPath(file_path);
+        const { content, buffer } = await this._readTextFile(safePath);
+        const lines = content.split('\n');
+
+        if (line_number < 1 || line_number > lines.length) {
+            throw new Error(`Line ${line_number} out of range (file has ${lines.length} lines)`);
+        }
+
+        const start = Math.max(1, line_number - context_lines);
+        const end = Math.min(lines.length, line_number + context_lines);
+
+        const snippet = [];
+        for (let i = start - 1; i < end; i++) {
+            snippet.push(`${i + 1}: ${lines[i]}`);
+        }
+
+        return { success: true, file_path, center_line: line_number, context: snippet.join('\n'), content_hash: this._hashContent(buffer) };
+    }
+
+    async deleteLines({ file_path, start_line, end_line, dry_run = false, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+        const { content, format } = await this._readTextFile(safePath);
+        const result = this._computeDeleteLines(content, start_line, end_line);
+        const change = await this._commitFileChange({ safePath, file_path, oldContent: content, newContent: result.content, format, dry_run, operation: 'delete_lines', expected_hash });
+
+        return {
+            success: true,
+            file_path,
+            lines_deleted: result.lines_deleted,
+            new_total_lines: result.new_total_lines,
+            ...change
+        };
+    }
+
+    _computeDeleteLines(content, start_line, end_line) {
+        const lines = content.split('\n');
+
+        if (start_line < 1 || end_line > lines.length || start_line > end_line) {
+            throw new Error(`Invalid range ${start_line}-${end_line} (file has ${lines.length} lines)`);
+        }
+
+        lines.splice(start_line - 1, end_line - start_line + 1);
+        return {
+            content: lines.join('\n'),
+            lines_deleted: end_line - start_line + 1,
+            new_total_lines: lines.length
+        };
+    }
+
+    async insertLines({ file_path, content, position, match_occurrence = 1, create_if_missing = false, preserve_indentation = true, dry_run = false, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+
+        const existing = await this._readTextIfExists(safePath);
+        if (existing === null && !create_if_missing) {
+            throw new Error(`File not found: ${file_path} (set create_if_missing to create it)`);
+        }
+
+        const fileContent = existing?.content ?? null;
+        const result = this._computeInsertLines(fileContent ?? '', { content, position, match_occurrence, preserve_indentation });
+        const change = await this._commitFileChange({ safePath, file_path, oldContent: fileContent, newContent: result.content, format: existing?.format, dry_run, operation: 'insert_lines', expected_hash });
+
+        return {
+            success: true,
+            file_path,
+            inserted_at_line: result.inserted_at_line,
+            lines_inserted: result.lines_inserted,
+            ...change
+        };
+    }
+
+    _computeInsertLines(fileContent, { content, position, match_occurrence = 1, preserve_indentation = true }) {
+        const lines = fileContent.split('\n');
+        let insertIndex = -1;
+        let matchedLine = '';
+
+        // Determine insertion position
+        if (position.line_number !== undefined) {
+            insertIndex = position.insert_mode === 'before' ?
+                position.line_number - 1 : position.line_number;
+        } else if (position.after_pattern || position.before_pattern) {
+            const pattern = position.after_pattern || position.before_pattern;
+            const isAfter = !!position.after_pattern;
+            let occurrenceCount = 0;
+
+            for (let i = 0; i < lines.length; i++) {
+                if (lines[i].includes(pattern)) {
+                    occurrenceCount++;
+                    if (occurrenceCount === match_occurrence) {
+                        insertIndex = isAfter ? i + 1 : i;
+                        matchedLine = lines[i];
+                        break;
+                    }
+                }
+            }
+
+            if (insertIndex === -1) {
+                throw new Error(`Pattern "${pattern}" not found`);
+            }
+        } else if (position.relative_to) {
+            const { pattern, offset } = position.relative_to;
+            let found = false;
+
+            for (let i = 0; i < lines.length; i++) {
+                if (lines[i].includes(pattern)) {
+                    insertIndex = i + offset + (offset >= 0 ? 1 : 0);
+                    matchedLine = lines[i];
+                    found = true;
+                    break;
+                }
+            }
+
+            if (!found) {
+                throw new Error(`Pattern "${pattern}" not found`);
+            }
+        }
+
+        // Apply indentation
+        let processedContent = content;
+        if (preserve_indentation && matchedLine) {
+            const indent = matchedLine.match(/^(\s*)/)[1];
+            processedContent = content.split('\n')
+                .map((line, i) => i === 0 || !line.trim() ? line : indent + line)
+                .join('\n');
+        }
+
+        lines.splice(insertIndex, 0, ...processedContent.split('\n'));
+
+        return {
+            content: lines.join('\n'),
+            inserted_at_line: insertIndex + 1,
+            lines_inserted: processedContent.split('\n').length
+        };
+    }
+
+    async readFileContent({ file_path, start_line, end_line, offset, max_bytes = READ_MAX_BYTES, continuation_token, include_base64 = false }) {
+        if (!Number.isInteger(max_bytes) || max_bytes <= 0) {
+            throw new Error(`max_bytes must be a positive integer, got ${max_bytes}`);
+        }
+        const safePath = this._resolveSandboxPath(file_path);
+        const stats = await fs.stat(safePath);
+        if (stats.isDirectory()) {
+            throw new Error(`${file_path} is a directory, use list_directory`);
+        }
+
+        // Line tokens carry the byte offset to resume at, so later pages neither rescan the file nor lose end_line
+        let resume = {};
+        if (continuation_token) {
+            const token = this._decodeContinuationToken(continuation_token);
+            if (token.size !== stats.size || token.mtime !== stats.mtimeMs) {
+                throw new Error('File changed since the previous page was read; restart without continuation_token');
+            }
+            if (token.line !== undefined) {
+                start_line = token.line;
+                if (end_line === undefined) end_line = token.end_line;
+                if (token.offset !== undefined) resume = { line: token.line, offset: token.offset };
+            } else {
+                offset = token.offset;
+            }
+        }
+
+        const content_hash = await this._hashFile(safePath);
+        const base = { success: true, file_path, size_bytes: stats.size, content_hash };
+
+        if (await this._isBinaryFile(safePath)) {
+            const result = { ...base, binary: true, modified: stats.mtime };
+            if (include_base64) {
+                const start = offset || 0;
+                const chunk = await this._readBytes(safePath, start, Math.min(max_bytes, stats.size - start));
+                const end = start + chunk.length;
+                result.encoding = 'base64';
+                result.content = chunk.toString('base64');
+                result.byte_range = { start, end };
+                result.truncated = end < stats.size;
+                if (result.truncated) result.continuation_token = this._encodeContinuationToken(stats, { offset: end });
+            }
+            return result;
+        }
+
+        // Line range, read in chunks so the rest of the file is never loaded
+        if (start_line !== undefined || end_line !== undefined) {
+            const first = Math.max(1, start_line || 1);
+            const last = end_line || Infinity;
+            if (last < first) throw new Error(`Invalid range ${first}-${end_line}`);
+
+            const format = await this._peekTextFormat(safePath, stats.size);
+            const page = await this._readLinePage(safePath, { first, last, maxBytes: max_bytes, format, ...resume });
+            if (!page.lines.length && page.linesInFile < first) {
+                throw new Error(`Line ${first} out of range (file has ${page.linesInFile} lines)`);
+            }
+
+            const result = {
+                ...base,
+                content: page.lines.join('\n'),
+                range: { start_line: first, end_line: first + page.lines.length - 1 },
+                encoding: format.encoding,
+                truncated: page.truncated
+            };
+            if (page.split) {
+                // A line longer than max_bytes is returned in byte pieces; the next page carries on inside it
+                result.last_line_partial = true;
+                result.byte_range = page.split;
+            }
+            if (page.truncated) {
+                result.continuation_token = this._encodeContinuationToken(stats, { ...page.next, ...(end_line && { end_line }) });
+            }
+            return result;
+        }
+
+        // Byte page; whole file when it fits
+        const start = offset || 0;
+        if (start > stats.size) {
+            throw new Error(`Offset ${start} beyond end of file (${stats.size} bytes)`);
+        }
+
+        if (start === 0 && stats.size <= max_bytes) {
+            const { content, format } = this._decodeText(await this._readBytes(safePath, 0, stats.size));
+            return { ...base, content, lines: content.split('\n').length, ...format };
+        }
+
+        const format = await this._peekTextFormat(safePath, stats.size);
+        const skip = Math.max(0, format.bomLength - start);
+        if ((start + skip) % format.newline.length) {
+            throw new Error(`Offset ${start} is inside a character of this ${format.encoding} file`);
+        }
+        let chunk = await this._readBytes(safePath, start + skip, Math.min(max_bytes, stats.size - start - skip));
+        if (start + skip + chunk.length < stats.size) {
+            // End the page on a line break, or at least on a character boundary
+            const lastNewline = this._findLastNewline(chunk, format.newline);
+            chunk = chunk.subarray(0, lastNewline < 0 ? this._textBoundary(chunk, format.encoding) : lastNewline + format.newline.length);
+        }
+        const end = start + skip + chunk.length;
+
+        const result = {
+            ...base,
+            content: this._decodeBytes(chunk, format.encoding),
+            byte_range: { start, end },
+            encoding: format.encoding,
+            truncated: end < stats.size
+        };
+        if (result.truncated) result.continuation_token = this._encodeContinuationToken(stats, { offset: end });
+        return result;
+    }
+
+    // Lines first..last, scanning from a byte offset known to be in line `line`; holds at most about one page
+    async _readLinePage(safePath, { first, last, maxBytes, format, line = 1, offset = 0 }) {
+        const { encoding, newline } = format;
+        const decode = (buffer) => this._decodeBytes(buffer, encoding).replace(/\r$/, '');
+        const page = { lines: [], truncated: false, next: null, split: null, linesInFile: null };
+        let lineNumber = line;
+        let lineStart = Math.max(offset, format.bomLength);
+        let parts = [];
+        let lineBytes = 0;
+        let pageBytes = 0;
+
+        const stopAt = (next) => {
+            page.truncated = true;
+            page.next = next;
+            return page;
+        };
+
+        const handle = await fs.open(safePath, 'r');
+        try {
+            let position = lineStart;
+            while (true) {
+                const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                if (!bytesRead) break;
+                const chunk = buffer.subarray(0, bytesRead);
+
+                let from = 0;
+                while (from < chunk.length) {
+                    const found = this._findNewline(chunk, newline, from);
+                    const end = found === -1 ? chunk.length : found;
+                    if (lineNumber >= first) {
+                        parts.push(chunk.subarray(from, end));
+                        lineBytes += end - from;
+                        if (lineBytes > maxBytes) {
+                            if (page.lines.length) return stopAt({ line: lineNumber, offset: lineStart });
+                            // A single line bigger than a page: cut it on a character boundary
+                            const head = Buffer.concat(parts).subarray(0, maxBytes);
+                            const cut = this._textBoundary(head, encoding);
+                            page.lines.push(this._decodeBytes(head.subarray(0, cut), encoding));
+                            page.split = { start: lineStart, end: lineStart + cut };
+                            return stopAt({ line: lineNumber, offset: lineStart + cut });
+                        }
+                    }
+                    if (found === -1) break;
+
+                    if (lineNumber >= first) {
+                        pageBytes += lineBytes + newline.length;
+                        if (pageBytes > maxBytes && page.lines.length) return stopAt({ line: lineNumber, offset: lineStart });
+                        page.lines.push(decode(Buffer.concat(parts)));
+                    }
+                    parts = [];
+                    lineBytes = 0;
+                    lineNumber++;
+                    lineStart = position + found + newline.length;
+                    from = found + newline.length;
+                    if (lineNumber > last) return page;
+                }
+                position += bytesRead;
+            }
+
+            // A last line without a line break still counts
+            const pending = position > lineStart;
+            if (pending && lineNumber >= first) {
+                pageBytes += lineBytes;
+                if (pageBytes > maxBytes && page.lines.length) return stopAt({ line: lineNumber, offset: lineStart });
+                page.lines.push(decode(Buffer.concat(parts)));
+            }
+            page.linesInFile = pending ? lineNumber : lineNumber - 1;
+            return page;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async _countLines(safePath, newline) {
+        let count = 1;
+        let position = 0;
+        const handle = await fs.open(safePath, 'r');
+        try {
+            const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+            let bytesRead;
+            while ((bytesRead = (await handle.read(buffer, 0, buffer.length, position)).bytesRead)) {
+                const chunk = buffer.subarray(0, bytesRead);
+                for (let i = this._findNewline(chunk, newline); i !== -1; i = this._findNewline(chunk, newline, i + newline.length)) count++;
+                position += bytesRead;
+            }
+            return count;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async _readBytes(safePath, position, length) {
+        const handle = await fs.open(safePath, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.max(0, length));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async _isBinaryFile(safePath) {
+        return this._isBinarySample(await this._readBytes(safePath, 0, BINARY_SAMPLE_BYTES));
+    }
+
+    _isBinarySample(sample) {
+        // UTF-16 text is full of NUL bytes but announces itself with a BOM
+        if ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff)) return false;
+        return sample.subarray(0, BINARY_SAMPLE_BYTES).includes(0);
+    }
+
+    async _hashFile(safePath) {
+        const hash = createHash('sha256');
+        for await (const chunk of createReadStream(safePath)) hash.update(chunk);
+        return hash.digest('hex');
+    }
+
+    _encodeContinuationToken(stats, position) {
+        return Buffer.from(JSON.stringify({ ...position, size: stats.size, mtime: stats.mtimeMs })).toString('base64url');
+    }
+
+    _decodeContinuationToken(token) {
+        try {
+            return JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        } catch {
+            throw new Error('Invalid continuation_token');
+        }
+    }
+
+    async listDirectory({ dir_path = '.', filter, include_hidden = false, max_depth = 1, max_files = 100, respect_gitignore = true }) {
+        const safePath = this._resolveSandboxPath(dir_path);
+        const pattern = filter ? new RegExp(filter.replace(/\*/g, '.*')) : null;
+        const results = [];
+
+        const walker = this._walkProject(safePath, { respectGitignore: respect_gitignore, maxDepth: max_depth, includeHidden: include_hidden });
+        for await (const entry of walker) {
+            if (results.length >= max_files) break;
+            if (pattern && !pattern.test(entry.name)) continue;
+
+            const stats = await fs.lstat(entry.path);
+            results.push({
+                name: entry.name,
+                path: path.relative(safePath, entry.path) || '.',
+                type: entry.dirent.isSymbolicLink() ? 'symlink' : entry.dirent.isDirectory() ? 'directory' : 'file',
+                size: stats.size,
+                modified: stats.mtime
+            });
+        }
+
+        return { success: true, path: dir_path, entries: results, total: results.length };
+    }
+
+    async deleteFile({ file_path, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+        if (!(await fs.stat(safePath)).isFile()) {
+            throw new Error(`${file_path} is not a file; delete_file only removes files`);
+        }
+        await this._assertExpectedHash(safePath, file_path, expected_hash);
+        const entry = await this._journalRecord('delete_file', [{ safePath, file_path, after_hash: null }]);
+        try {
+            await fs.unlink(safePath);
+        } catch (error) {
+            await this._journalDrop(entry);
+            throw error;
+        }
+        return { success: true, file_path };
+    }
+
+    async moveOrRenameFile({ source_path, destination_path }) {
+        const safeSrc = this._resolveSandboxPath(source_path, 'write');
+        const safeDst = this._resolveSandboxPath(destination_path, 'write');
+        await fs.access(safeSrc);
+        await fs.mkdir(path.dirname(safeDst), { recursive: true });
+        const movedHash = (await fs.stat(safeSrc)).isFile() ? await this._hashFile(safeSrc) : undefined;
+        const entry = await this._journalRecord('move_or_rename_file', [{ safePath: safeDst, file_path: destination_path, after_hash: movedHash }], [
+            { from: safeSrc, to: safeDst, from_path: source_path, to_path: destination_path }
+        ]);
+        try {
+            await fs.rename(safeSrc, safeDst);
+        } catch (error) {
+            await this._journalDrop(entry);
+            throw error;
+        }
+        return { success: true, from: source_path, to: destination_path };
+    }
+
+    async appendPrependContent({ file_path, content, position, create_if_missing = false, dry_run = false, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+
+        const existing = await this._readTextIfExists(safePath);
+        if (existing === null && !create_if_missing) {
+            throw new Error(`File not found: ${file_path} (set create_if_missing to create it)`);
+        }
+
+        const current = existing?.content ?? '';
+        const newContent = position === 'prepend' ? content + current : current + content;
+        const change = await this._commitFileChange({
+            safePath,
+            file_path,
+            oldContent: existing?.content ?? null,
+            newContent,
+            format: existing?.format,
+            dry_run,
+            operation: 'append_prepend_content',
+            expected_hash
+        });
+
+        return { success: true, file_path, position, bytes_added: Buffer.byteLength(content), ...change };
+    }
+
+    async _commitFileSet({ files, formats, displayPaths, operation, dry_run, expectedHashes = new Map(), modes = new Map() }) {
+        // Snapshot originals, then write everything or restore
+        const originals = new Map();
+        for (const safePath of files.keys()) {
+            originals.set(safePath, await this._readTextIfExists(safePath));
+        }
+
+        const changed = [...files.keys()].filter(safePath => files.get(safePath) !== (originals.get(safePath)?.content ?? null));
+        const encoded = new Map();
+        const changedFiles = changed.map(safePath => {
+            const original = originals.get(safePath)?.content ?? null;
+            const { diff, stats } = this._createUnifiedDiff(displayPaths.get(safePath), original, files.get(safePath));
+            const result = {
+                file_path: displayPaths.get(safePath),
+                status: files.get(safePath) === null ? 'deleted' : original === null ? 'created' : 'modified',
+                diff,
+                diff_stats: stats
+            };
+            if (files.get(safePath) !== null) {
+                const { buffer, warnings } = this._encodeText(files.get(safePath), formats.get(safePath));
+                encoded.set(safePath, buffer);
+                if (warnings.length) result.warnings = warnings;
+            }
+            return result;
+        });
+
+        if (dry_run) return changedFiles;
+
+        const entry = await this._journalRecord(operation, changed.map(safePath => ({
+            safePath,
+            file_path: displayPaths.get(safePath),
+            after_hash: files.get(safePath) === null ? null : this._hashContent(encoded.get(safePath))
+        })));
+
+        const written = [];
+        const createdDirs = [];
+        try {
+            for (const safePath of changed) {
+                // Checked again right before the write, so a change made since validation is never overwritten
+                await this._assertExpectedHash(safePath, displayPaths.get(safePath), expectedHashes.get(safePath));
+                written.push(safePath);
+                if (files.get(safePath) === null) {
+                    await fs.unlink(safePath);
+                } else {
+                    // mkdir reports the topmost directory it had to create, so rollback can remove the new ones
+                    const created = await fs.mkdir(path.dirname(safePath), { recursive: true });
+                    if (created) createdDirs.push({ top: created, leaf: path.dirname(safePath) });
+                    await fs.writeFile(safePath, encoded.get(safePath));
+                    if (modes.has(safePath)) await fs.chmod(safePath, modes.get(safePath) & 0o7777);
+                }
+            }
+        } catch (error) {
+            const restoreFailures = [];
+            for (const safePath of written.reverse()) {
+                const original = originals.get(safePath);
+                try {
+                    if (original === null) await fs.rm(safePath, { force: true });
+                    else await fs.writeFile(safePath, original.buffer);
+                } catch (restoreError) {
+                    // The write that failed may never have touched the file
+                    const current = await fs.readFile(safePath).catch(() => null);
+                    if (original === null ? current !== null : !current?.equals(original.buffer)) {
+                        restoreFailures.push({ file_path: displayPaths.get(safePath), error: restoreError.message });
+                    }
+                }
+            }
+            // Remove new directories deepest first; one that is not empty now holds someone else's files
+            for (const { top, leaf } of createdDirs.reverse()) {
+                for (let dir = leaf; this._isWithinSandbox(dir, top); dir = path.dirname(dir)) {
+                    try {
+                        await fs.rmdir(dir);
+                    } catch (rmError) {
+                        if (rmError.code !== 'ENOENT' && rmError.code !== 'ENOTEMPTY') {
+                            restoreFailures.push({ file_path: path.relative(this.workspace.root, dir), error: rmError.message });
+                        }
+                        break;
+                    }
+                }
+            }
+            // The journal entry stays behind when files could not be restored, so undo_last_edit can retry
+            if (restoreFailures.length) {
+                const failure = new Error(`${operation} failed while writing and rollback was incomplete: ${error.message}. ` +
+                    `Could not restore ${restoreFailures.map(f => `${f.file_path} (${f.error})`).join(', ')}`);
+                failure.details = { restore_failures: restoreFailures };
+                throw failure;
+            }
+            await this._journalDrop(entry);
+            throw new Error(`${operation} failed while writing, changes rolled back: ${error.message}`);
+        }
+
+        return changedFiles;
+    }
+
+    async applyEdits({ edits, dry_run = false }) {
+        if (!Array.isArray(edits) || edits.length === 0) {
+            throw new Error('edits must be a non-empty array');
+        }
+
+        // In-memory view of every touched file: absolute path -> content (null = absent)
+        const files = new Map();
+        const formats = new Map();
+        const displayPaths = new Map();
+        const expectedHashes = new Map();
+        const modes = new Map();
+
+        const load = async (userPath) => {
+            const safePath = this._resolveSandboxPath(userPath, 'write');
+            if (!displayPaths.has(safePath)) displayPaths.set(safePath, userPath);
+            if (!files.has(safePath)) {
+                try {
+                    const stats = await fs.stat(safePath);
+                    if (stats.isDirectory()) throw new Error(`${userPath} is a directory`);
+                    const { content, format } = await this._readTextFile(safePath);
+                    files.set(safePath, content);
+                    formats.set(safePath, format);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                    files.set(safePath, null);
+                }
+            }
+            return { safePath, content: files.get(safePath) };
+        };
+
+        const requireFile = async (userPath) => {
+            const loaded = await load(userPath);
+            if (loaded.content === null) throw new Error(`File not found: ${userPath}`);
+            return loaded;
+        };
+
+        // Phase 1: validate every operation against the in-memory state
+        const operations = [];
+        for (const [index, edit] of edits.entries()) {
+            try {
+                const hashedPath = edit.file_path || edit.source_path;
+                if (edit.expected_hash && hashedPath) {
+                    const hashedSafePath = this._resolveSandboxPath(hashedPath);
+                    await this._assertExpectedHash(hashedSafePath, hashedPath, edit.expected_hash);
+                    expectedHashes.set(hashedSafePath, edit.expected_hash);
+                }
+                switch (edit.type) {
+                    case 'replace': {
+                        const { safePath, content } = await requireFile(edit.file_path);
+                        const result = this._computeSmartReplace(content, edit.old_code, edit.new_code, edit.match_mode, edit);
+                        files.set(safePath, result.content);
+                        operations.push({ index, type: edit.type, file_path: edit.file_path, replaced_ranges: result.replaced_ranges });
+                        break;
+                    }
+                    case 'insert': {
+                        const { safePath, content } = await requireFile(edit.file_path);
+                        const result = this._computeInsertLines(content, edit);
+                        files.set(safePath, result.content);
+                        operations.push({ index, type: edit.type, file_path: edit.file_path, inserted_at_line: result.inserted_at_line, lines_inserted: result.lines_inserted });
+                        break;
+                    }
+                    case 'delete_lines': {
+                        const { safePath, content } = await requireFile(edit.file_path);
+                        const result = this._computeDeleteLines(content, edit.start_line, edit.end_line);
+                        files.set(safePath, result.content);
+                        operations.push({ index, type: edit.type, file_path: edit.file_path, lines_deleted: result.lines_deleted });
+                        break;
+                    }
+                    case 'create': {
+                        const { safePath, content } = await load(edit.file_path);
+                        if (content !== null && edit.overwrite === false) {
+                            throw new Error(`File already exists: ${edit.file_path}`);
+                        }
+                        files.set(safePath, edit.content ?? '');
+                        operations.push({ index, type: edit.type, file_path: edit.file_path });
+                        break;
+                    }
+                    case 'move': {
+                        const source = await requireFile(edit.source_path);
+                        const destination = await load(edit.destination_path);
+                        if (destination.content !== null) {
+                            throw new Error(`Destination already exists: ${edit.destination_path}`);
+                        }
+                        files.set(destination.safePath, source.content);
+                        formats.set(destination.safePath, formats.get(source.safePath));
+                        // The moved file keeps its permissions, such as the executable bit of a script
+                        const mode = modes.get(source.safePath) ?? await fs.stat(source.safePath).then(stats => stats.mode, () => null);
+                        if (mode !== null) modes.set(destination.safePath, mode);
+                        files.set(source.safePath, null);
+                        operations.push({ index, type: edit.type, from: edit.source_path, to: edit.destination_path });
+                        break;
+                    }
+                    default:
+                        throw new Error(`Unknown edit type: ${edit.type}`);
+                }
+            } catch (error) {
+                const wrapped = new Error(`apply_edits aborted at edit #${index} (${edit.type}): ${error.message}. No files were changed.`);
+                wrapped.details = error.details;
+                throw wrapped;
+            }
+        }
+
+        const changedFiles = await this._commitFileSet({ files, formats, displayPaths, operation: 'apply_edits', dry_run, expectedHashes, modes });
+        if (dry_run) {
+            return { success: true, dry_run, edits_applied: 0, operations, files: changedFiles };
+        }
+
+        return {
+            success: true,
+            dry_run,
+            edits_applied: operations.length,
+            operations,
+            files: changedFiles
+        };
+    }
+
+    async searchAcrossFiles({ search_text, file_pattern, include = [], exclude = SEARCH_DEFAULT_EXCLUDE, case_sensitive = true, use_regex = false, multiline = false, max_files = 100, max_matches_per_file = 10, context_lines = 0, respect_gitignore = true, use_index = false, cursor }) {
+        const offset = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString(), 10) : 0;
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('Invalid cursor');
+        }
+
+        let regex;
+        try {
+            const source = use_regex ? search_text : search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            regex = new RegExp(source, `g${case_sensitive ? '' : 'i'}${multiline ? 'm' : ''}`);
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+
+        const patterns = file_pattern || !include.length ? [file_pattern || '*', ...include] : include;
+        const index = use_index ? this._searchIndexFor(this.workspace) : null;
+        if (index) this._watchSearchDirectory(this.workspace, index, '');
+        const files = [];
+        for await (const entry of this._walkProject(this.workspace.root, { respectGitignore: respect_gitignore })) {
+            if (entry.dirent.isDirectory()) {
+                if (index) this._watchSearchDirectory(this.workspace, index, entry.relative);
+                continue;
+            }
+            // Like glob, include patterns only reach dotfiles when they spell out the dot
+            if (!patterns.some(pattern => minimatch(entry.relative, pattern))) continue;
+            if (exclude.some(pattern => minimatch(entry.relative, pattern, { dot: true }))) continue;
+            // Symlinked files are searched only when they resolve inside the sandbox
+            if (entry.dirent.isSymbolicLink()) {
+                try {
+                    this._resolveSandboxPath(entry.relative);
+                } catch {
+                    continue;
+                }
+            }
+            files.push(entry.relative);
+        }
+
+        const search = {
+            regex,
+            multiline,
+            maxMatches: max_matches_per_file,
+            contextLines: context_lines,
+            trigrams: [...new Set((use_regex ? this._requiredLiterals(search_text) : [search_text]).flatMap(literal => [...this._trigramIds(literal)]))]
+        };
+
+        // Files are read concurrently but reported in walk order, so a cursor always resumes at the same place
+        const results = [];
+        const skipped = { binary: 0, too_large: 0, unreadable: 0 };
+        let filesSearched = 0;
+        let ruledOutByIndex = 0;
+        let next = offset;
+        scan: while (next < files.length) {
+            const batch = files.slice(next, next + SEARCH_CONCURRENCY);
+            const outcomes = await Promise.all(batch.map(file => this._searchFile(file, search, index).catch(() => ({ skipped: 'unreadable' }))));
+            for (const [i, outcome] of outcomes.entries()) {
+                next++;
+                if (outcome.skipped) {
+                    skipped[outcome.skipped]++;
+                    continue;
+                }
+                filesSearched++;
+                if (outcome.ruledOut) ruledOutByIndex++;
+                if (!outcome.matches.length) continue;
+
+                results.push({
+                    file_path: batch[i],
+                    matches: outcome.matches,
+                    match_count: outcome.matches.length,
+                    truncated: outcome.truncated
+                });
+                if (results.length >= max_files) break scan;
+            }
+        }
+
+        const truncated = next < files.length;
+        return {
+            success: true,
+            search_text,
+            files_searched: filesSearched,
+            files_skipped: skipped,
+            files_with_matches: results.length,
+            results,
+            truncated,
+            ...(truncated && { next_cursor: Buffer.from(String(next)).toString('base64url') }),
+            ...(index && { index: { files: index.files.size, bytes: index.bytes, ruled_out: ruledOutByIndex, watched_directories: index.watchers.size } })
+        };
+    }
+
+    async _searchFile(file, search, index) {
+        const safePath = path.join(this.workspace.root, file);
+        const stats = await fs.stat(safePath);
+        if (stats.size > SEARCH_MAX_FILE_BYTES) return { skipped: 'too_large' };
+
+        // An up-to-date index entry answers binary checks and rules out files missing a required trigram
+        const cached = index?.files.get(file);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            if (cached.binary) return { skipped: 'binary' };
+            if (search.trigrams.some(id => !this._hasTrigram(cached.trigrams, id))) return { matches: [], truncated: false, ruledOut: true };
+        }
+
+        const buffer = await fs.readFile(safePath);
+        const binary = this._isBinarySample(buffer);
+        const content = binary ? null : this._decodeText(buffer).content;
+        if (index) this._indexFile(index, file, stats, content);
+        if (binary) return { skipped: 'binary' };
+
+        return this._matchContent(content, search);
+    }
+
+    _matchContent(content, { regex, multiline, maxMatches, contextLines }) {
+        const lines = content.split('\n');
+        const matches = [];
+        const addMatch = (start, end) => {
+            const match = {
+                line_number: start + 1,
+                ...(end > start && { end_line_number: end + 1 }),
+                content: lines.slice(start, end + 1).join('\n')
+            };
+            if (contextLines > 0) {
+                const first = Math.max(0, start - contextLines);
+                const last = Math.min(lines.length - 1, end + contextLines);
+                match.context = lines.slice(first, last + 1).map((l, idx) => ({
+                    line_number: first + idx + 1,
+                    content: l,
+                    is_match: first + idx >= start && first + idx <= end
+                }));
+            }
+            matches.push(match);
+        };
+
+        if (!multiline) {
+            for (let i = 0; i < lines.length; i++) {
+                regex.lastIndex = 0;
+                if (!regex.test(lines[i])) continue;
+                if (matches.length >= maxMatches) return { matches, truncated: true };
+                addMatch(i, i);
+            }
+            return { matches, truncated: false };
+        }
+
+        // Multi-line patterns run over the whole file; offsets are mapped back to line numbers
+        const lineStarts = [0];
+        for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+        const lineAt = position => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= position) low = mid;
+                else high = mid - 1;
+            }
+            return low;
+        };
+
+        let lastLine = -1;
+        for (const found of content.matchAll(regex)) {
+            const start = lineAt(found.index);
+            if (start <= lastLine) continue;
+            if (matches.length >= maxMatches) return { matches, truncated: true };
+            lastLine = lineAt(found.index + Math.max(found[0].length - 1, 0));
+            addMatch(start, lastLine);
+        }
+        return { matches, truncated: false };
+    }
+
+    _trigramIds(text) {
+        // Sorted, unique 32-bit ids of the lowercased trigrams. ASCII trigrams get distinct ids; others may share
+        // one, which only means a file is read when it could have been skipped, never that a match is missed
+        const lower = text.toLowerCase();
+        const ids = new Set();
+        for (let i = 0; i + 3 <= lower.length; i++) {
+            ids.add(((lower.charCodeAt(i) << 21) ^ (lower.charCodeAt(i + 1) << 10) ^ lower.charCodeAt(i + 2)) >>> 0);
+        }
+        return Uint32Array.from(ids).sort();
+    }
+
+    _hasTrigram(ids, id) {
+        let low = 0;
+        let high = ids.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (ids[mid] === id) return true;
+            if (ids[mid] < id) low = mid + 1;
+            else high = mid - 1;
+        }
+        return false;
+    }
+
+    _requiredLiterals(source) {
+        // Only literal runs outside groups, classes and optional quantifiers must appear in every match;
+        // anything harder to reason about yields no literals, which just means no file is ruled out
+        if (source.includes('|')) return [];
+        const escapes = { n: '\n', r: '\r', t: '\t' };
+        const literals = [];
+        let run = '';
+        let depth = 0;
+        const flush = () => {
+            if (run.length >= 3) literals.push(run);
+            run = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            let literal = null;
+            const char = source[i];
+            if (char === '\\') {
+                const escaped = source[++i];
+                if (escaped === undefined || /[0-9cfkpPuvx]/i.test(escaped) && !escapes[escaped]) return [];
+                // Class escapes and word boundaries end a run; only escaped punctuation is literal
+                if (escapes[escaped] || !/[a-zA-Z]/.test(escaped)) literal = escapes[escaped] || escaped;
+            } else if (char === '[') {
+                for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+            } else if (!'.^$*+?{}'.includes(char)) {
+                literal = char;
+            }
+
+            if (literal === null || depth > 0) {
+                flush();
+                continue;
+            }
+            const quantifier = source[i + 1];
+            if (quantifier === '?' || quantifier === '*' || quantifier === '{') {
+                flush();
+                continue;
+            }
+            run += literal;
+            if (quantifier === '+') flush();
+        }
+        flush();
+        return literals;
+    }
+
+    _searchIndexFor(workspace) {
+        if (!workspace.searchIndex) {
+            workspace.searchIndex = { files: new Map(), bytes: 0, dirty: new Set(), watchers: new Map(), timer: null, idleTimer: null };
+        }
+        // An index nobody searches is dropped, watchers and all, rather than living as long as the server
+        const index = workspace.searchIndex;
+        clearTimeout(index.idleTimer);
+        index.idleTimer = setTimeout(() => this._dropSearchIndex(workspace), SEARCH_INDEX_IDLE_MS);
+        index.idleTimer.unref();
+        return index;
+    }
+
+    _dropSearchIndex(workspace) {
+        const index = workspace.searchIndex;
+        if (!index) return;
+        clearTimeout(index.timer);
+        clearTimeout(index.idleTimer);
+        for (const watcher of index.watchers.values()) watcher.close();
+        workspace.searchIndex = null;
+    }
+
+    _watchSearchDirectory(workspace, index, relativeDir) {
+        // One non-recursive watcher per searched directory, so ignored trees like node_modules are never watched.
+        // Past the cap, entries are still checked against mtimes on every search, just not refreshed eagerly
+        if (workspace.searchIndex !== index || index.watchers.has(relativeDir) || index.watchers.size >= SEARCH_INDEX_MAX_WATCHED_DIRS) return;
+        try {
+            const watcher = watch(path.join(workspace.root, relativeDir), (event, filename) => {
+                if (!filename) return;
+                index.dirty.add(relativeDir ? `${relativeDir}/${filename}` : filename);
+                clearTimeout(index.timer);
+                index.timer = setTimeout(() => this._refreshSearchIndex(workspace, index), SEARCH_INDEX_REFRESH_MS);
+            });
+            watcher.on('error', () => {
+                watcher.close();
+                index.watchers.delete(relativeDir);
+            });
+            watcher.unref();
+            index.watchers.set(relativeDir, watcher);
+        } catch {
+            // The directory vanished between the walk and the watch
+        }
+    }
+
+    _indexFile(index, file, stats, content) {
+        this._unindexFile(index, file);
+        const trigrams = content === null ? null : this._trigramIds(content);
+        const entry = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            binary: content === null,
+            trigrams,
+            bytes: (trigrams?.byteLength || 0) + file.length * 2 + 64
+        };
+        index.files.set(file, entry);
+        index.bytes += entry.bytes;
+
+        // Past the cap the files indexed longest ago are forgotten; they are simply read again when searched
+        for (const [oldest, { bytes }] of index.files) {
+            if (index.bytes <= SEARCH_INDEX_MAX_BYTES || oldest === file) break;
+            index.files.delete(oldest);
+            index.bytes -= bytes;
+        }
+    }
+
+    _unindexFile(index, file) {
+        const entry = index.files.get(file);
+        if (!entry) return;
+        index.files.delete(file);
+        index.bytes -= entry.bytes;
+    }
+
+    async _refreshSearchIndex(workspace, index) {
+        // Only files a search has already indexed are refreshed, so churn in ignored directories costs nothing
+        const changed = [...index.dirty].filter(file => index.files.has(file));
+        index.dirty.clear();
+        for (const file of changed) {
+            try {
+                const stats = await fs.lstat(path.join(workspace.root, file));
+                if (!stats.isFile() || stats.size > SEARCH_MAX_FILE_BYTES) {
+                    this._unindexFile(index, file);
+                    continue;
+                }
+                const buffer = await fs.readFile(path.join(workspace.root, file));
+                this._indexFile(index, file, stats, this._isBinarySample(buffer) ? null : this._decodeText(buffer).content);
+            } catch {
+                this._unindexFile(index, file);
+            }
+        }
+    }
+
+    async getFileInfo({ file_path, file_paths, include_line_count = false }) {
+        const paths = file_paths || [file_path];
+        const results = [];
+
+        for (const fp of paths) {
+            try {
+                const safePath = this._resolveSandboxPath(fp);
+                const stats = await fs.stat(safePath);
+                const info = {
+                    file_path: fp,
+                    exists: true,
+                    type: stats.isDirectory() ? 'directory' : 'file',
+                    size_bytes: stats.size,
+                    modified: stats.mtime,
+                    created: stats.birthtime
+                };
+
+                if (stats.isFile()) {
+                    try {
+                        if (await this._isBinaryFile(safePath)) {
+                            info.encoding = 'binary';
+                        } else {
+                            const { encoding, bom, eol, newline } = await this._peekTextFormat(safePath, stats.size);
+                            Object.assign(info, { encoding, bom, eol });
+                            if (include_line_count) info.line_count = await this._countLines(safePath, newline);
+                        }
+                    } catch {
+                        if (include_line_count) info.line_count = null;
+                    }
+                }
+
+                results.push(info);
+            } catch (error) {
+                results.push({
+                    file_path: fp,
+                    exists: false,
+                    error: error.message
+                });
+            }
+        }
+
+        return {
+            success: true,
+            results: file_paths ? results : results[0]
+        };
+    }
+
+    // Shell command execution
+    async executeShellCommand({ command, working_dir = '.', timeout_seconds = 120 }) {
+        const cwd = this._resolveSandboxPath(working_dir);
+        this._validateShellCommand(command, cwd);
+
+        return new Promise((resolve) => {
+            exec(command, {
+                cwd,
+                timeout: timeout_seconds * 1000,
+                maxBuffer: 10 * 1024 * 1024
+            }, (error, stdout, stderr) => {
+                resolve({
+                    success: !error,
+                    exit_code: error?.code || 0,
+                    stdout: stdout || '',
+                    stderr: stderr || '',
+                    command,
+                    working_dir,
+                    timed_out: error?.killed && error?.signal === 'SIGTERM'
+                });
+            });
+        });
+    }
+
+    // Background jobs
+    _getJob(job_id) {
+        const job = this.jobs.get(job_id);
+        if (!job) {
+            throw new Error(`Job ${job_id} not found. Known jobs: ${[...this.jobs.keys()].join(', ') || 'none'}`);
+        }
+        return job;
+    }
+
+    _appendJobOutput(buffer, chunk) {
+        buffer.data += chunk;
+        // total counts characters, which offsets are given in; bytes is what the job actually wrote
+        buffer.total += chunk.length;
+        buffer.bytes += Buffer.byteLength(chunk);
+        // Ring buffer: drop the oldest output beyond the cap
+        if (buffer.data.length > JOB_BUFFER_CHARS) {
+            const excess = buffer.data.length - JOB_BUFFER_CHARS;
+            buffer.data = buffer.data.slice(excess);
+            buffer.dropped += excess;
+        }
+    }
+
+    _readJobOutput(buffer, offset, maxChars) {
+        const start = Math.max(offset, buffer.dropped);
+        const text = buffer.data.slice(start - buffer.dropped, start - buffer.dropped + maxChars);
+        return {
+            text,
+            next_offset: start + text.length,
+            skipped: start - offset,
+            more: start + text.length < buffer.total
+        };
+    }
+
+    _killProcessTree(job, signal = 'SIGTERM') {
+        if (job.status !== 'running') return;
+        job.kill_requested = true;
+
+        if (process.platform === 'win32') {
+            spawn('taskkill', ['/pid', String(job.pid), '/T', '/F'], { stdio: 'ignore' });
+            return;
+        }
+        try {
+            // Negative pid targets the job's whole process group
+            process.kill(-job.pid, signal);
+        } catch {
+            try { job.child.kill(signal); } catch { }
+        }
+        if (signal !== 'SIGKILL') {
+            setTimeout(() => this._killProcessTree(job, 'SIGKILL'), JOB_KILL_GRACE_MS).unref();
+        }
+    }
+
+    _jobSummary(job) {
+        return {
+            job_id: job.id,
+            workspace: job.workspace,
+            command: job.command,
+            working_dir: job.working_dir,
+            pid: job.pid,
+            status: job.status,
+            exit_code: job.exit_code,
+            signal: job.signal,
+            started: job.started,
+            finished: job.finished,
+            stdout_bytes: job.stdout.bytes,
+            stderr_bytes: job.stderr.bytes
+        };
+    }
+
+    _pruneFinishedJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+
+    async _waitForJob(job, { progressToken, signal, session } = {}, timeoutMs = Infinity, killOnCancel = false) {
+        if (job.status !== 'running') return true;
+
+        return new Promise((resolve) => {
+            let timer = null;
+            const reportProgress = () => {
+                if (progressToken === undefined || !session) return;
+                session.server.notification({
+                    method: 'notifications/progress',
+                    params: { progressToken, progress: job.stdout.total + job.stderr.total }
+                }).catch(() => { });
+            };
+            const finish = (exited) => {
+                clearTimeout(timer);
+                job.events.off('output', reportProgress);
+                job.events.off('exit', onExit);
+                signal?.removeEventListener('abort', onAbort);
+                resolve(exited);
+            };
+            const onExit = () => finish(true);
+            const onAbort = () => {
+                if (killOnCancel) this._killProcessTree(job);
+                finish(false);
+            };
+
+            job.events.on('output', reportProgress);
+            job.events.once('exit', onExit);
+            signal?.addEventListener('abort', onAbort);
+            if (Number.isFinite(timeoutMs)) timer = setTimeout(() => finish(false), timeoutMs);
+        });
+    }
+
+    async startJob({ command, working_dir = '.', timeout_seconds = 0, wait_for_exit = false }, context = {}) {
+        const cwd = this._resolveSandboxPath(working_dir);
+        this._validateShellCommand(command, cwd);
+
+        const child = spawn(command, {
+            cwd,
+            shell: true,
+            // Own process group so the whole tree can be signalled at once
+            detached: process.platform !== 'win32',
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        const job = {
+            id: this.nextJobId++,
+            workspace: this.workspace.name,
+            command,
+            working_dir,
+            child,
+            pid: child.pid,
+            status: 'running',
+            exit_code: null,
+            signal: null,
+            started: new Date().toISOString(),
+            finished: null,
+            stdout: { data: '', dropped: 0, total: 0, bytes: 0 },
+            stderr: { data: '', dropped: 0, total: 0, bytes: 0 },
+            events: new EventEmitter()
+        };
+        this.jobs.set(job.id, job);
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            this._appendJobOutput(job.stdout, chunk);
+            job.events.emit('output');
+        });
+        child.stderr.on('data', chunk => {
+            this._appendJobOutput(job.stderr, chunk);
+            job.events.emit('output');
+        });
+        child.stdin.on('error', () => { });
+        child.on('error', error => {
+            this._appendJobOutput(job.stderr, `${error.message}\n`);
+        });
+        child.on('close', (code, signal) => {
+            job.status = job.kill_requested ? 'killed' : 'exited';
+            job.exit_code = code;
+            job.signal = signal;
+            job.finished = new Date().toISOString();
+            clearTimeout(job.timer);
+            job.events.emit('exit');
+            this._pruneFinishedJobs();
+        });
+
+        if (timeout_seconds > 0) {
+            job.timer = setTimeout(() => {
+                job.timed_out = true;
+                this._killProcessTree(job);
+            }, timeout_seconds * 1000);
+        }
+
+        if (!wait_for_exit) {
+            return { success: true, ...this._jobSummary(job) };
+        }
+
+        await this._waitForJob(job, context, Infinity, true);
+        return this.getJobOutput({ job_id: job.id });
+    }
+
+    async getJobOutput({ job_id, stdout_offset = 0, stderr_offset = 0, max_chars = JOB_OUTPUT_PAGE_CHARS, wait_seconds = 0 }, context = {}) {
+        const job = this._getJob(job_id);
+        if (wait_seconds > 0) {
+            await this._waitForJob(job, context, wait_seconds * 1000);
+        }
+
+        const stdout = this._readJobOutput(job.stdout, stdout_offset, max_chars);
+        const stderr = this._readJobOutput(job.stderr, stderr_offset, max_chars);
+        return {
+            success: job.status !== 'running' ? job.exit_code === 0 : true,
+            ...this._jobSummary(job),
+            timed_out: !!job.timed_out,
+            stdout: stdout.text,
+            stderr: stderr.text,
+            next_stdout_offset: stdout.next_offset,
+            next_stderr_offset: stderr.next_offset,
+            more_output: stdout.more || stderr.more,
+            // Output that fell out of the ring buffer before it was read
+            dropped_chars: stdout.skipped + stderr.skipped
+        };
+    }
+
+    async sendJobInput({ job_id, input = '', close_stdin = false }) {
+        const job = this._getJob(job_id);
+        if (job.status !== 'running') {
+            throw new Error(`Job ${job_id} is not running (status: ${job.status})`);
+        }
+        if (!job.child.stdin.writable) {
+            throw new Error(`Job ${job_id} stdin is closed`);
+        }
+
+        if (input) {
+            await new Promise((resolve, reject) => job.child.stdin.write(input, error => error ? reject(error) : resolve()));
+        }
+        if (close_stdin) job.child.stdin.end();
+        return { success: true, job_id, bytes_written: Buffer.byteLength(input), stdin_closed: close_stdin };
+    }
+
+    async killJob({ job_id, signal = 'SIGTERM' }) {
+        const job = this._getJob(job_id);
+        if (job.status !== 'running') {
+            return { success: true, ...this._jobSummary(job), note: 'Job already finished' };
+        }
+
+        this._killProcessTree(job, signal);
+        await this._waitForJob(job, {}, JOB_KILL_GRACE_MS + 1000);
+        return { success: job.status !== 'running', ...this._jobSummary(job) };
+    }
+
+    async listJobs() {
+        const jobs = [...this.jobs.values()].map(job => this._jobSummary(job));
+        return { success: true, jobs, running: jobs.filter(job => job.status === 'running').length };
+    }
+
+    // Git operations
+    async gitStatus() {
+        const status = await this.workspace.git.status();
+        return { success: true, ...status };
+    }
+
+    async gitDiff({ staged = false }) {
+        const diff = staged ?
+            await this.workspace.git.diff(['--cached']) :
+            await this.workspace.git.diff();
+        return { success: true, diff };
+    }
+
+    async gitAdd({ files = ['.'] }) {
+        files.forEach(file => this._resolveSandboxPath(file));
+        await this.workspace.git.add(files);
+        return { success: true, staged: files };
+    }
+
+    async gitCommit({ message, all = false }) {
+        const args = all ? ['-a', '-m', message] : ['-m', message];
+        const result = await this.workspace.git.commit(message, all ? { '-a': null } : undefined);
+        return { success: true, ...result };
+    }
+
+    async gitBranch({ create, delete: del, list = true }) {
+        if (create) {
+            await this.workspace.git.checkoutLocalBranch(create);
+            return { success: true, created: create };
+        }
+        if (del) {
+            await this.workspace.git.deleteLocalBranch(del);
+            return { success: true, deleted: del };
+        }
+        const branches = await this.workspace.git.branch();
+        return { success: true, ...branches };
+    }
+
+    async gitCheckout({ branch, create = false, file }) {
+        if (file) {
+            this._resolveSandboxPath(file, 'write');
+            await this.workspace.git.checkout(['--', file]);
+            return { success: true, restored: file };
+        }
+        if (create) {
+            await this.workspace.git.checkoutLocalBranch(branch);
+        } else {
+            await this.workspace.git.checkout(branch);
+        }
+        return { success: true, branch };
+    }
+
+    async gitPull({ remote = 'origin', branch }) {
+        const args = branch ? [remote, branch] : [remote];
+        const result = await this.workspace.git.pull(...args);
+        return { success: true, ...result };
+    }
+
+    async gitPush({ remote = 'origin', branch, set_upstream = false }) {
+        const args = [remote];
+        if (branch) args.push(branch);
+        if (set_upstream) args.unshift('-u');
+
+        const result = await this.workspace.git.push(args);
+        return { success: true, pushed: true, remote, branch };
+    }
+
+    async gitMerge({ branch, no_ff = false }) {
+        const options = no_ff ? { '--no-ff': null } : {};
+        const result = await this.workspace.git.merge([branch], options);
+        return { success: true, ...result };
+    }
+
+    async gitStash({ action = 'push', message }) {
+        switch (action) {
+            case 'push':
+                const stashArgs = message ? ['push', '-m', message] : ['push'];
+                await this.workspace.git.stash(stashArgs);
+                return { success: true, action: 'pushed' };
+            case 'pop':
+                await this.workspace.git.stash(['pop']);
+                return { success: true, action: 'popped' };
+            case 'list':
+                const list = await this.workspace.git.stashList();
+                return { success: true, stashes: list.all };
+            default:
+                throw new Error(`Unknown stash action: ${action}`);
+        }
+    }
+
+    async gitLog({ max_count = 10, oneline = false }) {
+        const options = {
+            maxCount: max_count,
+            format: oneline ? { oneline: true } : undefined
+        };
+        const log = await this.workspace.git.log(options);
+        return { success: true, commits: log.all };
+    }
+
+    // GitHub operations
+    async createGithubRepo({ repo_name, description, is_private = false }) {
+        if (!GITHUB_TOKEN) {
+            throw new Error('GITHUB_TOKEN not configured in .env file');
+        }
+
+        const octokit = new Octokit({ auth: GITHUB_TOKEN });
+        const response = await octokit.repos.createForAuthenticatedUser({
+            name: repo_name,
+            description,
+            private: is_private
+        });
+
+        return {
+            success: true,
+            repo_name,
+            url: response.data.html_url,
+            ssh_url: response.data.ssh_url,
+            clone_url: response.data.clone_url
+        };
+    }
+
+    // Resources
+    async _listProjectFiles() {
+        const files = [];
+        for await (const entry of this._walkProject(this.workspace.root)) {
+            if (!entry.dirent.isDirectory()) files.push(entry.relative);
+        }
+        return files;
+    }
+
+    async listResources(cursor) {
+        const offset = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString(), 10) : 0;
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('Invalid cursor');
+        }
+
+        const files = await this._listProjectFiles();
+        const resources = [];
+        let index = offset;
+        for (; index < files.length && resources.length < RESOURCE_PAGE_SIZE; index++) {
+            let safePath;
+            try {
+                safePath = this._resolveSandboxPath(files[index]);
+                await fs.access(safePath);
+            } catch {
+                continue;
+            }
+            resources.push({ uri: pathToFileURL(safePath).href, name: files[index] });
+        }
+
+        return {
+            resources,
+            ...(index < files.length && { nextCursor: Buffer.from(String(index)).toString('base64url') })
+        };
+    }
+
+    // An absolute file path selects the workspace that contains it; anything else belongs to the active one
+    _resourceWorkspace(uri, session) {
+        let filePath = null;
+        try {
+            if (uri.startsWith('file://')) filePath = fileURLToPath(uri);
+        } catch {
+            // A malformed URI is refused when it is resolved
+        }
+        return (filePath && [...this.workspaces.values()].find(w => this._isWithinSandbox(filePath, w.root))) || session.activeWorkspace;
+    }
+
+    _resolveResourceUri(uri, session) {
+        if (uri.startsWith('git://')) {
+            return { workspace: session.activeWorkspace, safePath: null };
+        }
+        if (!uri.startsWith('file://')) {
+            throw new Error(`Unsupported resource URI: ${uri}. Use file:///{path} or git://{ref}/{path}`);
+        }
+
+        const filePath = fileURLToPath(uri);
+        const workspace = this._resourceWorkspace(uri, session);
+        const userPath = this._isWithinSandbox(filePath, workspace.root) ? filePath : filePath.replace(/^[/\\]+/, '');
+        const safePath = this.workspaceContext.run({ workspace, session }, () => this._resolveSandboxPath(userPath));
+        return { workspace, safePath };
+    }
+
+    async readResource(uri, safePath) {
+        if (uri.startsWith('git://')) {
+            const match = /^git:\/\/([^/]+)\/(.+)$/.exec(uri);
+            if (!match) throw new Error(`Invalid git resource URI: ${uri}. Expected git://{ref}/{path}`);
+            const ref = decodeURIComponent(match[1]);
+            const filePath = decodeURIComponent(match[2]);
+            if (ref.startsWith('-')) throw new Error(`Invalid git ref: ${ref}`);
+
+            const relative = path.relative(this.workspace.root, this._resolveSandboxPath(filePath)).split(path.sep).join('/');
+            const text = await this.workspace.git.show([`${ref}:./${relative}`]);
+            return { contents: [{ uri, mimeType: 'text/plain', text }] };
+        }
+
+        const stats = await fs.stat(safePath);
+        if (stats.isDirectory()) throw new Error(`${uri} is a directory`);
+        if (stats.size > READ_MAX_BYTES) {
+            throw new Error(`${uri} is ${stats.size} bytes, over the ${READ_MAX_BYTES} byte resource limit. Page through it with read_file_content`);
+        }
+        if (await this._isBinaryFile(safePath)) {
+            return { contents: [{ uri, mimeType: 'application/octet-stream', blob: (await fs.readFile(safePath)).toString('base64') }] };
+        }
+        const { content } = await this._readTextFile(safePath);
+        return { contents: [{ uri, mimeType: 'text/plain', text: content }] };
+    }
+
+    _subscribeResource(uri, session) {
+        if (!uri.startsWith('file://')) {
+            throw new Error(`Only file:// resources can be subscribed to: ${uri}`);
+        }
+        if (session.subscriptions.has(uri)) return;
+        const { safePath } = this._resolveResourceUri(uri, session);
+
+        // Watch the directory rather than the file so replace-by-rename saves are still seen
+        let timer = null;
+        const watcher = watch(path.dirname(safePath), (event, filename) => {
+            if (filename && filename !== path.basename(safePath)) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                session.server.notification({ method: 'notifications/resources/updated', params: { uri } }).catch(() => { });
+            }, RESOURCE_UPDATE_DEBOUNCE_MS);
+        });
+        watcher.on('error', () => {
+            watcher.close();
+            session.subscriptions.delete(uri);
+        });
+        session.subscriptions.set(uri, watcher);
+    }
+
+    // Prompts
+    _truncateForPrompt(text, maxChars, keep = 'head') {
+        text = text.replace(/\n+$/, '');
+        if (text.length <= maxChars) return text;
+        const omitted = `[... ${text.length - maxChars} characters omitted ...]`;
+        return keep === 'tail' ? `${omitted}\n${text.slice(-maxChars)}` : `${text.slice(0, maxChars)}\n${omitted}`;
+    }
+
+    async _readFileForPrompt(file_path) {
+        // Only the first page is read, so a huge file is never loaded whole
+        const args = { file_path, max_bytes: PROMPT_MAX_FILE_CHARS };
+        const page = await this._invokeTool('read_file_content', args, () => this.readFileContent(args));
+        if (page.binary) throw new Error(`${file_path} is a binary file`);
+        const content = page.content.replace(/\n+$/, '');
+        return page.truncated ? `${content}\n[... ${page.size_bytes - page.byte_range.end} more bytes omitted ...]` : content;
+    }
+
+    _promptResult(description, text) {
+        return { description, messages: [{ role: 'user', content: { type: 'text', text } }] };
+    }
+
+    _formatStatusForPrompt(status) {
+        const lines = [`Branch: ${status.current || '(detached)'}`];
+        for (const file of status.files) lines.push(`${file.index}${file.working_dir} ${file.path}`);
+        return lines.join('\n');
+    }
+
+    async reviewDiffPrompt({ staged, focus }) {
+        const isStaged = staged === 'true';
+        const [{ diff }, status] = await Promise.all([
+            this._invokeTool('git_diff', { staged: isStaged }, () => this.gitDiff({ staged: isStaged })),
+            this._invokeTool('git_status', {}, () => this.gitStatus())
+        ]);
+        if (!diff.trim()) {
+            throw new Error(`No ${isStaged ? 'staged' : 'unstaged'} changes to review`);
+        }
+
+        return this._promptResult(`Review of ${isStaged ? 'staged' : 'working-tree'} changes`, [
+            `Review the following ${isStaged ? 'staged' : 'uncommitted'} changes as a careful senior reviewer.`,
+            'Point out bugs, edge cases, security problems, missing tests and unclear code. Cite file and line for each finding, and say which findings block merging.',
+            ...(focus ? [`Pay particular attention to: ${focus}`] : []),
+            '',
+            'Repository status:',
+            '```',
+            this._formatStatusForPrompt(status),
+            '```',
+            '',
+            'Diff:',
+            '```diff',
+            this._truncateForPrompt(diff, PROMPT_MAX_DIFF_CHARS),
+            '```'
+        ].join('\n'));
+    }
+
+    async commitMessagePrompt({ type, scope }) {
+        const [{ diff }, status] = await Promise.all([
+            this._invokeTool('git_diff', { staged: true }, () => this.gitDiff({ staged: true })),
+            this._invokeTool('git_status', {}, () => this.gitStatus())
+        ]);
+        if (!diff.trim()) {
+            throw new Error('Nothing is staged. Stage changes with git_add first');
+        }
+
+        return this._promptResult('Conventional commit message for staged changes', [
+            'Write a commit message for the staged changes below, following the Conventional Commits specification.',
+            '- Subject line: `type(scope): summary` in the imperative mood, at most 72 characters, no trailing period.',
+            '- Body: what changed and why, wrapped at 72 columns. Leave it out for trivial changes.',
+            '- Add a `BREAKING CHANGE:` footer if the change breaks compatibility.',
+            type ? `- Use the type "${type}".` : '- Choose the type from feat, fix, refactor, perf, test, docs, build, ci, chore.',
+            ...(scope ? [`- Use the scope "${scope}".`] : []),
+            'Reply with the commit message only.',
+            '',
+            'Staged files:',
+            '```',
+            status.staged.join('\n') || this._formatStatusForPrompt(status),
+            '```',
+            '',
+            'Staged diff:',
+            '```diff',
+            this._truncateForPrompt(diff, PROMPT_MAX_DIFF_CHARS),
+            '```'
+        ].join('\n'));
+    }
+
+    async explainFilePrompt({ file_path, focus }) {
+        if (!file_path) throw new Error('file_path is required');
+        const safePath = this._resolveSandboxPath(file_path);
+        const source = await this._readFileForPrompt(file_path);
+        const projectArgs = { max_depth: 1, include_git_info: false };
+        const project = await this._invokeTool('analyze_project', projectArgs, () => this.analyzeProject(projectArgs));
+
+        let outline = null;
+        if (LANGUAGES_BY_EXTENSION[path.extname(safePath).toLowerCase()]) {
+            const { symbols } = await this._invokeTool('get_file_symbols', { file_path }, () => this.getFileSymbols({ file_path }));
+            outline = symbols.map(s => `- ${s.kind} ${s.name} (lines ${s.start_line}-${s.end_line})`).join('\n');
+        }
+
+        const relative = path.relative(this.workspace.root, safePath).split(path.sep).join('/');
+        const owner = project.monorepo?.packages.filter(p => relative.startsWith(`${p.path}/`)).pop();
+
+        const extension = path.extname(file_path).slice(1);
+        return this._promptResult(`Explanation of ${file_path}`, [
+            `Explain what ${file_path} does for a developer who is new to this ${project.project_type} project.`,
+            'Cover its responsibilities, its main functions or classes and how they interact, its inputs, outputs and side effects, and any non-obvious behaviour or pitfalls.',
+            ...(focus ? [`Concentrate on: ${focus}`] : []),
+            '',
+            `Project type: ${project.project_type}`,
+            ...(project.dependencies?.prod ? [`Dependencies: ${project.dependencies.prod.join(', ') || 'none'}`] : []),
+            ...(owner ? [`Package: ${owner.name} (${owner.path}, ${owner.project_type})`] : []),
+            ...(outline ? ['', 'Outline:', outline] : []),
+            '',
+            `Contents of ${file_path}:`,
+            `\`\`\`${extension}`,
+            source,
+            '```'
+        ].join('\n'));
+    }
+
+    async _defaultTestCommand() {
+        try {
+            const pkg = JSON.parse(await fs.readFile(this._resolveSandboxPath('package.json'), 'utf8'));
+            if (pkg.scripts?.test) return 'npm test';
+        } catch {
+            // No usable package.json; try other ecosystems
+        }
+        const markers = [['pytest.ini', 'pytest'], ['pyproject.toml', 'pytest'], ['Cargo.toml', 'cargo test'], ['go.mod', 'go test ./...'], ['pom.xml', 'mvn test']];
+        for (const [file, command] of markers) {
+            if (await fs.access(this._resolveSandboxPath(file)).then(() => true, () => false)) return command;
+        }
+        throw new Error('Could not infer a test command; pass the command argument');
+    }
+
+    async fixFailingTestPrompt({ command, test_file }) {
+        const testCommand = command || await this._defaultTestCommand();
+        const shellArgs = { command: testCommand, timeout_seconds: PROMPT_TEST_TIMEOUT_SECONDS };
+        const run = await this._invokeTool('execute_shell_command', shellArgs, () => this.executeShellCommand(shellArgs));
+
+        let testSource = null;
+        if (test_file) {
+            testSource = await this._readFileForPrompt(test_file);
+        }
+
+        const output = this._truncateForPrompt([run.stdout, run.stderr].filter(Boolean).join('\n'), PROMPT_MAX_OUTPUT_CHARS, 'tail');
+        const outcome = run.timed_out ? `timed out after ${PROMPT_TEST_TIMEOUT_SECONDS} seconds` :
+            run.success ? 'passed' : `failed with exit code ${run.exit_code}`;
+
+        return this._promptResult(`Fix failing tests (${testCommand})`, [
+            run.success ?
+                `The test command \`${testCommand}\` currently passes. Check the output below for warnings or skipped tests worth addressing, otherwise confirm nothing needs fixing.` :
+                `The test command \`${testCommand}\` ${outcome}. Find the root cause of each failure and fix it.`,
+            'Read the relevant source before editing. Prefer fixing the code under test over weakening a test, unless the test itself is wrong; say which it is and why. Re-run the tests afterwards to confirm.',
+            ...(testSource ? ['', `Test file ${test_file}:`, '```', testSource, '```'] : []),
+            '',
+            'Test output:',
+            '```',
+            output || '(no output)',
+            '```'
+        ].join('\n'));
+    }
+
+    // Workspaces
+    _workspaceSummary(workspace, session) {
+        return {
+            name: workspace.name,
+            root: workspace.root,
+            active: workspace === session.activeWorkspace,
+            shell_mode: workspace.shellMode,
+            policy: workspace.policy ? workspace.policyFile : null
+        };
+    }
+
+    async listWorkspaces(args, { session }) {
+        return { success: true, workspaces: [...this.workspaces.values()].map(w => this._workspaceSummary(w, session)) };
+    }
+
+    async setWorkspace({ name }, { session }) {
+        const previous = session.activeWorkspace.name;
+        session.activeWorkspace = this._getWorkspace(name);
+        return { success: true, previous, ...this._workspaceSummary(session.activeWorkspace, session) };
+    }
+
+    // Project analysis
+    async analyzeProject({ max_depth = 3, include_dependencies = true, include_git_info = true, respect_gitignore = true, include_workspaces = true }) {
+        const analysis = {
+            project_type: 'unknown',
+            root_path: this.workspace.root,
+            structure: {},
+            entry_points: [],
+            test_files: [],
+            config_files: [],
+            dependencies: null,
+            git_info: null
+        };
+
+        // Detect project type and dependencies
+        const files = await fs.readdir(this.workspace.root);
+
+        if (files.includes('package.json')) {
+            analysis.project_type = 'node.js';
+            try {
+                const pkg = JSON.parse(await fs.readFile(this._resolveSandboxPath('package.json'), 'utf8'));
+                // Entry points come from main, module, bin and exports, as for workspace packages
+                analysis.entry_points.push(...this._packageEntryPoints(pkg));
+                if (include_dependencies) {
+                    analysis.dependencies = {
+                        prod: Object.keys(pkg.dependencies || {}),
+                        dev: Object.keys(pkg.devDependencies || {})
+                    };
+                    if (pkg.scripts?.test) analysis.test_command = pkg.scripts.test;
+                }
+            } catch { }
+        } else if (files.includes('requirements.txt') || files.includes('setup.py')) {
+            analysis.project_type = 'python';
+            if (include_dependencies && files.includes('requirements.txt')) {
+                try {
+                    const reqs = await fs.readFile(this._resolveSandboxPath('requirements.txt'), 'utf8');
+                    analysis.dependencies = reqs.split('\n').filter(l => l && !l.startsWith('#'));
+                } catch { }
+            }
+        } else {
+            analysis.project_type = PROJECT_MANIFESTS.find(([manifest]) => files.includes(manifest))?.[1] || 'unknown';
+        }
+
+        // Get directory structure; directories at the depth limit are listed but not expanded
+        analysis.structure = {};
+        const nodes = new Map([['', analysis.structure]]);
+        const walker = this._walkProject(this.workspace.root, { respectGitignore: respect_gitignore, maxDepth: max_depth, includeHidden: false });
+        for await (const entry of walker) {
+            const parent = nodes.get(path.posix.dirname(entry.relative).replace(/^\.$/, ''));
+            if (entry.dirent.isDirectory()) {
+                const node = entry.depth < max_depth ? {} : null;
+                parent[entry.name + '/'] = node;
+                if (node) nodes.set(entry.relative, node);
+                continue;
+            }
+
+            parent[entry.name] = 'file';
+
+            // Identify special files
+            if (entry.name.match(/\.(test|spec)\.(js|ts|py|java)$/)) {
+                analysis.test_files.push(entry.relative);
+            }
+            if (entry.name.match(/^(config|settings|.*rc)\.(json|js|yaml|yml)$/)) {
+                analysis.config_files.push(entry.relative);
+            }
+            if (!analysis.entry_points.length && entry.name.match(/^(index|main|app)\.(js|ts|py|java)$/)) {
+                analysis.entry_points.push(entry.relative);
+            }
+        }
+
+        // Get git info
+        if (include_git_info) {
+            try {
+                const status = await this.workspace.git.status();
+                const branch = await this.workspace.git.branch();
+                analysis.git_info = {
+                    current_branch: branch.current,
+                    branches: branch.all,
+                    modified_files: status.modified.length,
+                    untracked_files: status.not_added.length,
+                    ahead: status.ahead,
+                    behind: status.behind
+                };
+            } catch {
+                analysis.git_info = { initialized: false };
+            }
+        }
+
+        if (include_workspaces) {
+            const workspaces = await this._detectWorkspaces({ includeDependencies: include_dependencies });
+            if (workspaces.tools.length || workspaces.packages.length) analysis.monorepo = workspaces;
+        }
+
+        return analysis;
+    }
+
+    async _readProjectFile(relativePath) {
+        try {
+            return await fs.readFile(this._resolveSandboxPath(relativePath), 'utf8');
+        } catch (error) {
+            if (['ENOENT', 'ENOTDIR'].includes(error.code)) return null;
+            throw error;
+        }
+    }
+
+    _packageEntryPoints(pkg) {
+        const targets = [];
+        const collect = value => {
+            if (typeof value === 'string') targets.push(value);
+            else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+        };
+        collect([pkg.main, pkg.module, pkg.bin, pkg.exports]);
+        return [...new Set(targets.map(target => path.posix.normalize(target)))];
+    }
+
+    async _describeProject(dir, names, includeDependencies) {
+        const manifests = PROJECT_MANIFESTS.filter(([manifest]) => names.has(manifest));
+        const types = [...new Set(manifests.map(([, type]) => type))];
+        const project = { name: path.posix.basename(dir), path: dir, project_type: types[0] || 'unknown' };
+        // Mixed-language directories, such as a Python service shipping a package.json for its tooling
+        if (types.length > 1) project.other_types = types.slice(1);
+        const read = name => this._readProjectFile(path.posix.join(dir, name));
+
+        if (names.has('package.json')) {
+            let pkg;
+            try {
+                pkg = JSON.parse(await read('package.json'));
+            } catch {
+                return { ...project, scripts: {}, error: 'package.json is not valid JSON' };
+            }
+            Object.defineProperty(project, 'manifest', { value: pkg, enumerable: false });
+            project.name = pkg.name || project.name;
+            if (pkg.version) project.version = pkg.version;
+            if (pkg.private) project.private = true;
+            project.scripts = pkg.scripts || {};
+            project.entry_points = this._packageEntryPoints(pkg).map(entry => path.posix.join(dir, entry));
+            if (includeDependencies) {
+                project.dependencies = { prod: Object.keys(pkg.dependencies || {}), dev: Object.keys(pkg.devDependencies || {}) };
+            }
+        } else {
+            const candidates = PROJECT_ENTRY_CANDIDATES[project.project_type] || [];
+            project.scripts = {};
+            project.entry_points = [];
+            for (const candidate of candidates) {
+                if (await read(candidate) !== null) project.entry_points.push(path.posix.join(dir, candidate));
+            }
+            if (includeDependencies) project.dependencies = await this._manifestDependencies(project.project_type, read);
+        }
+
+        if (names.has('project.json')) {
+            // Nx project configuration: its name, targets and implicit dependencies
+            try {
+                const nxProject = JSON.parse(await read('project.json'));
+                project.name = nxProject.name || project.name;
+                if (nxProject.targets) project.scripts = { ...project.scripts, ...Object.fromEntries(Object.keys(nxProject.targets).map(target => [target, `nx run ${project.name}:${target}`])) };
+                if (nxProject.implicitDependencies) Object.defineProperty(project, 'implicitDependencies', { value: nxProject.implicitDependencies, enumerable: false });
+            } catch {
+                project.error = 'project.json is not valid JSON';
+            }
+        }
+        return project;
+    }
+
+    async _manifestDependencies(projectType, read) {
+        if (projectType === 'python') {
+            const requirements = await read('requirements.txt');
+            if (requirements !== null) return requirements.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#') && !l.startsWith('-'));
+            const pyproject = await read('pyproject.toml');
+            const list = pyproject?.match(/^dependencies\s*=\s*\[([\s\S]*?)\]/m);
+            return list ? [...list[1].matchAll(/["']([^"']+)["']/g)].map(match => match[1]) : [];
+        }
+        if (projectType === 'rust') {
+            const section = (await read('Cargo.toml'))?.match(/^\[dependencies\]\s*$([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+            return section ? [...section[1].matchAll(/^([\w-]+)\s*=/gm)].map(match => match[1]) : [];
+        }
+        if (projectType === 'go') {
+            const goMod = await read('go.mod') || '';
+            const block = goMod.match(/^require\s*\(([\s\S]*?)\)/m)?.[1] || '';
+            const single = [...goMod.matchAll(/^require[ \t]+([^\s(]+)[ \t]+\S+/gm)].map(match => match[1]);
+            return [...single, ...block.split('\n').map(l => l.trim().split(/\s+/)[0]).filter(name => name && !name.startsWith('//'))];
+        }
+        return null;
+    }
+
+    _yamlList(text, key) {
+        // Just enough YAML for pnpm-workspace.yaml: an inline [a, b] or an indented "- item" list under the key
+        const inline = text.match(new RegExp(`^${key}:\\s*\\[(.*)\\]`, 'm'));
+        if (inline) return inline[1].split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+
+        const items = [];
+        let inList = false;
+        for (const line of text.split('\n')) {
+            if (new RegExp(`^${key}:\\s*$`).test(line)) {
+                inList = true;
+            } else if (inList) {
+                const item = line.match(/^\s+-\s*(.+?)\s*$/);
+                if (item) items.push(item[1].replace(/^['"]|['"]$/g, ''));
+                else if (/^\S/.test(line)) break;
+            }
+        }
+        return items;
+    }
+
+    async _detectWorkspaces({ includeDependencies = true } = {}) {
+        const rootFiles = new Set(await fs.readdir(this.workspace.root));
+        const tools = [];
+        const patterns = [];
+
+        let rootPkg = null;
+        try {
+            rootPkg = JSON.parse(await this._readProjectFile('package.json'));
+        } catch {
+            // No root package.json, or one analyze_project already reports as unreadable
+        }
+        if (rootPkg?.workspaces) {
+            patterns.push(...(Array.isArray(rootPkg.workspaces) ? rootPkg.workspaces : rootPkg.workspaces.packages || []));
+            tools.push(rootFiles.has('yarn.lock') ? 'yarn' : 'npm');
+        }
+        if (rootFiles.has('pnpm-workspace.yaml')) {
+            patterns.push(...this._yamlList(await this._readProjectFile('pnpm-workspace.yaml'), 'packages'));
+            tools.push('pnpm');
+        }
+        if (rootFiles.has('lerna.json')) {
+            try {
+                patterns.push(...(JSON.parse(await this._readProjectFile('lerna.json')).packages || ['packages/*']));
+            } catch {
+                patterns.push('packages/*');
+            }
+            tools.push('lerna');
+        }
+        if (rootFiles.has('nx.json')) tools.push('nx');
+        if (rootFiles.has('turbo.json')) tools.push('turbo');
+
+        const lockfiles = { 'pnpm-lock.yaml': 'pnpm', 'yarn.lock': 'yarn', 'bun.lockb': 'bun', 'package-lock.json': 'npm' };
+        const packageManager = Object.entries(lockfiles).find(([lockfile]) => rootFiles.has(lockfile))?.[1] || rootPkg?.packageManager?.split('@')[0] || null;
+
+        // One walk finds every directory holding a manifest, inside declared workspaces or not
+        const manifestNames = new Set([...PROJECT_MANIFESTS.map(([manifest]) => manifest), 'project.json']);
+        const directories = new Map();
+        for await (const entry of this._walkProject(this.workspace.root, { maxDepth: SUBPROJECT_MAX_DEPTH })) {
+            if (entry.dirent.isDirectory() || !manifestNames.has(entry.name)) continue;
+            const dir = path.posix.dirname(entry.relative);
+            if (dir === '.') continue;
+            if (!directories.has(dir)) directories.set(dir, new Set());
+            directories.get(dir).add(entry.name);
+        }
+
+        const normalized = patterns.map(pattern => pattern.replace(/^\.\//, '').replace(/\/$/, ''));
+        const included = normalized.filter(pattern => !pattern.startsWith('!'));
+        const excluded = normalized.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+        const isMember = (dir, names) => (included.some(pattern => minimatch(dir, pattern)) && !excluded.some(pattern => minimatch(dir, pattern))) ||
+            (tools.includes('nx') && names.has('project.json'));
+
+        const packages = [];
+        for (const [dir, names] of [...directories.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+            const project = await this._describeProject(dir, names, includeDependencies);
+            project.workspace = isMember(dir, names);
+            packages.push(project);
+        }
+
+        // Links between packages: dependencies on a sibling's package name, plus Nx implicit dependencies
+        const byName = new Map(packages.map(project => [project.name, project]));
+        const links = [];
+        for (const project of packages) {
+            const fields = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+            for (const field of project.manifest ? fields : []) {
+                for (const [name, version] of Object.entries(project.manifest[field] || {})) {
+                    if (byName.has(name) && name !== project.name) links.push({ from: project.name, to: name, type: field, version });
+                }
+            }
+            for (const name of project.implicitDependencies || []) {
+                if (byName.has(name)) links.push({ from: project.name, to: name, type: 'implicit' });
+            }
+            project.depends_on = [...new Set(links.filter(link => link.from === project.name).map(link => link.to))];
+        }
+
+        return { tools, package_manager: packageManager, workspace_patterns: [...new Set(patterns)], packages, links };
+    }
+
+    _moduleSpecifiers(root) {
+        const specifiers = [];
+        const stack = [root];
+        while (stack.length) {
+            const node = stack.pop();
+            let source = null;
+            if (node.type === 'import_statement' || node.type === 'export_statement') {
+                source = node.childForFieldName('source');
+            } else if (node.type === 'call_expression') {
+                const callee = node.childForFieldName('function');
+                if (callee?.type === 'import' || callee?.text === 'require') source = node.childForFieldName('arguments')?.namedChildren[0];
+            }
+            // Only static strings can be resolved; computed requires are left out of the graph
+            if (source?.type === 'string') {
+                specifiers.push({ specifier: source.text.slice(1, -1), line: node.startPosition.row + 1 });
+            } else {
+                for (let i = node.namedChildCount - 1; i >= 0; i--) stack.push(node.namedChild(i));
+            }
+        }
+        return specifiers;
+    }
+
+    _packageName(specifier) {
+        // `#name` is a subpath import mapped by the importing package's own "imports" field, not a dependency
+        if (specifier.startsWith('#')) return null;
+        if (specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0])) return null;
+        const parts = specifier.split('/');
+        return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    }
+
+    _subpathImportTargets(imports, specifier) {
+        if (!imports || typeof imports !== 'object') return [];
+        let value = imports[specifier];
+        let wildcard = null;
+        if (value === undefined) {
+            // A "#name/*" pattern substitutes what its star matched into the target; the longest prefix wins
+            const key = Object.keys(imports)
+                .filter(pattern => {
+                    const star = pattern.indexOf('*');
+                    return star !== -1 && specifier.length >= pattern.length - 1 &&
+                        specifier.startsWith(pattern.slice(0, star)) && specifier.endsWith(pattern.slice(star + 1));
+                })
+                .sort((a, b) => b.indexOf('*') - a.indexOf('*'))[0];
+            if (!key) return [];
+            const star = key.indexOf('*');
+            wildcard = specifier.slice(star, specifier.length - (key.length - star - 1));
+            value = imports[key];
+        }
+
+        // Condition objects and fallback arrays are flattened into candidates, in order
+        const targets = [];
+        const collect = target => {
+            if (typeof target === 'string') targets.push(wildcard === null ? target : target.replaceAll('*', wildcard));
+            else if (Array.isArray(target)) target.forEach(collect);
+            else if (target && typeof target === 'object') Object.values(target).forEach(collect);
+        };
+        collect(value);
+        return targets;
+    }
 
-                // Fixed context_lines implementation
-                if (context_lines > 0) {
-                    const start = Math.max(0, index - context_lines);
-                    const end = Math.min(lines.length - 1, index + context_lines);
+    _findCycles(graph) {
+        // Tarjan's strongly connected components; each component with a loop is reported as one cycle through it
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+        let nextIndex = 0;
 
-                    match.context = [];
-                    for (let i = start; i <= end; i++) {
-                        match.context.push({
-                            line_number: i + 1,
-                            content: lines[i],
-                            is_match: i === index
-                        });
+        const visit = (file) => {
+            indexes.set(file, nextIndex);
+            lowLinks.set(file, nextIndex++);
+            stack.push(file);
+            onStack.add(file);
+            return { file, targets: graph.get(file).values() };
+        };
+
+        // An explicit call stack, since a long import chain would overflow a recursive one
+        for (const root of graph.keys()) {
+            if (indexes.has(root)) continue;
+            const calls = [visit(root)];
+            while (calls.length) {
+                const { file, targets } = calls[calls.length - 1];
+                const { value: target, done } = targets.next();
+                if (!done) {
+                    if (!indexes.has(target)) {
+                        calls.push(visit(target));
+                    } else if (onStack.has(target)) {
+                        lowLinks.set(file, Math.min(lowLinks.get(file), indexes.get(target)));
                     }
+                    continue;
                 }
 
-                matches.push(match);
+                calls.pop();
+                if (calls.length) {
+                    const caller = calls[calls.length - 1].file;
+                    lowLinks.set(caller, Math.min(lowLinks.get(caller), lowLinks.get(file)));
+                }
+                if (lowLinks.get(file) !== indexes.get(file)) continue;
+
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== file);
+                if (component.length > 1 || graph.get(file).has(file)) components.push(component);
             }
-        });
+        }
 
-        return { success: true, file_path, search_text, matches, total_matches: matches.length };
+        return components.map(component => {
+            const members = new Set(component);
+            const start = component.sort()[0];
+            const previous = new Map([[start, null]]);
+            const queue = [start];
+            while (queue.length) {
+                const file = queue.shift();
+                for (const target of graph.get(file)) {
+                    if (!members.has(target)) continue;
+                    if (target === start) {
+                        const cycle = [start];
+                        for (let step = file; step !== null && step !== start; step = previous.get(step)) cycle.splice(1, 0, step);
+                        return [...cycle, start];
+                    }
+                    if (!previous.has(target)) {
+                        previous.set(target, file);
+                        queue.push(target);
+                    }
+                }
+            }
+            return [...component, start];
+        });
     }
-    async getCodeContext({ file_path, line_number, context_lines = 5 }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
 
-        if (line_number < 1 || line_number > lines.length) {
-            throw new Error(`Line ${line_number} out of range (file has ${lines.length} lines)`);
+    async dependencyGraph({ dir_path = '.', format = 'json', include_packages = false, respect_gitignore = true }) {
+        if (!['json', 'mermaid', 'dot'].includes(format)) {
+            throw new Error(`Unknown format: ${format}. Use json, mermaid or dot`);
         }
+        const safeDir = this._resolveSandboxPath(dir_path);
+        const modules = new Map();
+        const graph = new Map();
+        const packagesByFile = new Map();
+        const packageUses = new Map();
+        const packagesByProject = new Map();
+        const unresolved = [];
+        const skipped = [];
 
-        const start = Math.max(1, line_number - context_lines);
-        const end = Math.min(lines.length, line_number + context_lines);
+        const files = [];
+        for await (const entry of this._walkProject(safeDir, { respectGitignore: respect_gitignore })) {
+            if (!entry.dirent.isDirectory() && LANGUAGES_BY_EXTENSION[path.extname(entry.name).toLowerCase()]) files.push(entry.relative);
+        }
 
-        const snippet = [];
-        for (let i = start - 1; i < end; i++) {
-            snippet.push(`${i + 1}: ${lines[i]}`);
+        // The root package and every workspace package contribute entry points and declared dependencies
+        let rootPkg = null;
+        try {
+            rootPkg = JSON.parse(await this._readProjectFile('package.json'));
+        } catch {
+            // Graph the files without package information
         }
+        const { packages: subprojects } = await this._detectWorkspaces({ includeDependencies: false });
+        const nodePackages = [
+            ...(rootPkg ? [{ name: rootPkg.name, path: '.', manifest: rootPkg, entry_points: this._packageEntryPoints(rootPkg) }] : []),
+            ...subprojects.filter(project => project.manifest)
+        ];
+        const workspacePackages = new Map(nodePackages.filter(project => project.name && project.path !== '.').map(project => [project.name, project]));
+        // A file's imports must be declared by the innermost package that contains it, not by a sibling or the root
+        const ownerOf = file => nodePackages
+            .filter(project => project.path === '.' || file.startsWith(`${project.path}/`))
+            .reduce((inner, project) => !inner || project.path.length > inner.path.length ? project : inner, null);
 
-        return { success: true, file_path, center_line: line_number, context: snippet.join('\n') };
-    }
+        const resolveWorkspaceImport = async (name, specifier) => {
+            const project = workspacePackages.get(name);
+            const subpath = specifier.slice(name.length);
+            if (subpath) return this._resolveImportPath('', `./${project.path}${subpath}`);
+            for (const entry of [...project.entry_points, project.path]) {
+                const target = await this._resolveImportPath('', `./${entry}`);
+                if (target) return target;
+            }
+            return null;
+        };
 
-    async deleteLines({ file_path, start_line, end_line }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const lines = content.split('\n');
+        for (const file of files) {
+            let module;
+            try {
+                module = await this._loadCodeModule(modules, file);
+            } catch (error) {
+                skipped.push({ file_path: file, reason: error.message });
+                continue;
+            }
 
-        if (start_line < 1 || end_line > lines.length || start_line > end_line) {
-            throw new Error(`Invalid range ${start_line}-${end_line} (file has ${lines.length} lines)`);
+            const targets = new Set();
+            const packages = new Set();
+            for (let { specifier, line } of this._moduleSpecifiers(module.root)) {
+                if (specifier.startsWith('#')) {
+                    // Subpath imports resolve through the "imports" map of the package that contains the file
+                    const owner = ownerOf(file);
+                    const mapped = owner ? this._subpathImportTargets(owner.manifest.imports, specifier) : [];
+                    let target = null;
+                    for (const candidate of mapped.filter(mappedTarget => mappedTarget.startsWith('./'))) {
+                        target = await this._resolveImportPath('', `./${path.posix.join(owner.path, candidate)}`);
+                        if (target) break;
+                    }
+                    if (target) {
+                        targets.add(target);
+                        continue;
+                    }
+                    // A subpath import may also stand in for a dependency
+                    const external = mapped.find(mappedTarget => !mappedTarget.startsWith('.'));
+                    if (!external) {
+                        unresolved.push({ file_path: file, line, specifier });
+                        continue;
+                    }
+                    specifier = external;
+                }
+                if (specifier.startsWith('.')) {
+                    const target = await this._resolveImportPath(file, specifier);
+                    if (target) targets.add(target);
+                    else unresolved.push({ file_path: file, line, specifier });
+                    continue;
+                }
+                const name = this._packageName(specifier);
+                if (!name) continue;
+                // Imports of a sibling workspace package are edges into its sources as well
+                const target = workspacePackages.has(name) && await resolveWorkspaceImport(name, specifier);
+                if (target) targets.add(target);
+                packages.add(name);
+                if (!packageUses.has(name)) packageUses.set(name, new Set());
+                packageUses.get(name).add(file);
+            }
+            graph.set(file, targets);
+            packagesByFile.set(file, packages);
+            const owner = ownerOf(file);
+            if (owner) {
+                if (!packagesByProject.has(owner)) packagesByProject.set(owner, new Set());
+                packages.forEach(name => packagesByProject.get(owner).add(name));
+            }
         }
 
-        lines.splice(start_line - 1, end_line - start_line + 1);
-        await fs.writeFile(safePath, lines.join('\n'), 'utf-8');
+        // Edges to files outside dir_path are dropped so that only graphed files become nodes
+        for (const targets of graph.values()) {
+            for (const target of [...targets]) if (!graph.has(target)) targets.delete(target);
+        }
+        const fanIn = new Map([...graph.keys()].map(file => [file, 0]));
+        for (const targets of graph.values()) {
+            for (const target of targets) fanIn.set(target, fanIn.get(target) + 1);
+        }
 
-        return {
+        const entries = new Set(nodePackages.flatMap(project => project.entry_points));
+        const isEntry = file => entries.has(file) || ENTRY_FILE_PATTERN.test(file);
+        const declared = new Map(nodePackages.map(project => [project, new Map()]));
+        for (const project of nodePackages) {
+            for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+                for (const name of Object.keys(project.manifest[field] || {})) {
+                    if (!declared.get(project).has(name)) declared.get(project).set(name, project.path === '.' ? field : `${project.path}/package.json ${field}`);
+                }
+            }
+        }
+        // @types/x is in use whenever x is
+        const isUsed = (project, name) => {
+            const used = packagesByProject.get(project) || new Set();
+            return used.has(name) || (name.startsWith('@types/') && used.has(name.slice(7).replace(/^([^_]+)__/, '@$1/')));
+        };
+        const undeclared = [...packagesByProject].flatMap(([project, used]) => [...used]
+            .filter(name => !declared.get(project).has(name) && name !== project.name && name !== rootPkg?.name && !workspacePackages.has(name))
+            .map(name => ({ name, missing_from: project.path === '.' ? 'package.json' : `${project.path}/package.json` })));
+
+        const result = {
             success: true,
-            file_path,
-            lines_deleted: end_line - start_line + 1,
-            new_total_lines: lines.length
+            dir_path,
+            files: graph.size,
+            edges: [...graph.values()].reduce((sum, targets) => sum + targets.size, 0),
+            cycles: this._findCycles(graph),
+            orphans: [...graph.keys()].filter(file => fanIn.get(file) === 0 && !isEntry(file)),
+            modules: [...graph.entries()].map(([file, targets]) => ({
+                file_path: file,
+                fan_in: fanIn.get(file),
+                fan_out: targets.size,
+                imports: [...targets],
+                packages: [...packagesByFile.get(file)]
+            })),
+            packages: {
+                used: Object.fromEntries([...packageUses.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, users]) => [name, users.size])),
+                // A subdirectory cannot show that a package is unused elsewhere
+                ...(safeDir === this.workspace.root && {
+                    unused: [...declared].flatMap(([project, names]) => [...names]
+                        .filter(([name]) => !isUsed(project, name))
+                        .map(([name, field]) => ({ name, declared_in: field })))
+                }),
+                undeclared: undeclared.sort((a, b) => a.name.localeCompare(b.name) || a.missing_from.localeCompare(b.missing_from))
+            },
+            unresolved,
+            ...(skipped.length && { skipped })
         };
+
+        if (format !== 'json') {
+            result.diagram = this._renderDependencyGraph(graph, format, include_packages ? result.modules : null, new Set(result.cycles.flat()));
+        }
+        return result;
     }
 
-    async insertLines({ file_path, content, position, match_occurrence = 1, create_if_missing = false, preserve_indentation = true }) {
-        const safePath = this._resolveSandboxPath(file_path);
+    _renderDependencyGraph(graph, format, modulesWithPackages, cyclic) {
+        const nodes = [...graph.keys()];
+        const edges = [...graph.entries()].flatMap(([file, targets]) => [...targets].map(target => [file, target]));
+        if (modulesWithPackages) {
+            const packages = [...new Set(modulesWithPackages.flatMap(m => m.packages))].sort();
+            nodes.push(...packages.map(name => `npm:${name}`));
+            edges.push(...modulesWithPackages.flatMap(m => m.packages.map(name => [m.file_path, `npm:${name}`])));
+        }
 
-        let fileContent = '';
-        try {
-            fileContent = await fs.readFile(safePath, 'utf8');
-        } catch (error) {
-            if (create_if_missing && error.code === 'ENOENT') {
-                await fs.mkdir(path.dirname(safePath), { recursive: true });
-                fileContent = '';
-            } else {
-                throw error;
-            }
+        if (format === 'dot') {
+            const quote = value => JSON.stringify(value);
+            return [
+                'digraph dependencies {',
+                '  rankdir=LR;',
+                ...nodes.map(node => `  ${quote(node)}${node.startsWith('npm:') ? ' [shape=box]' : cyclic.has(node) ? ' [color=red]' : ''};`),
+                ...edges.map(([from, to]) => `  ${quote(from)} -> ${quote(to)}${cyclic.has(from) && cyclic.has(to) ? ' [color=red]' : ''};`),
+                '}'
+            ].join('\n');
         }
 
-        const lines = fileContent.split('\n');
-        let insertIndex = -1;
-        let matchedLine = '';
+        const ids = new Map(nodes.map((node, i) => [node, `n${i}`]));
+        return [
+            'graph LR',
+            ...nodes.map(node => `  ${ids.get(node)}${node.startsWith('npm:') ? `[["${node.slice(4)}"]]` : `["${node}"]`}`),
+            ...edges.map(([from, to]) => `  ${ids.get(from)} --> ${ids.get(to)}`),
+            ...(cyclic.size ? [`  classDef cycle stroke:#d00,stroke-width:2px`, `  class ${[...cyclic].map(node => ids.get(node)).join(',')} cycle`] : [])
+        ].join('\n');
+    }
 
-        // Determine insertion position
-        if (position.line_number !== undefined) {
-            insertIndex = position.insert_mode === 'before' ?
-                position.line_number - 1 : position.line_number;
-        } else if (position.after_pattern || position.before_pattern) {
-            const pattern = position.after_pattern || position.before_pattern;
-            const isAfter = !!position.after_pattern;
-            let occurrenceCount = 0;
+    // Code intelligence
+    _getParser(filePath) {
+        const language = LANGUAGES_BY_EXTENSION[path.extname(filePath).toLowerCase()];
+        if (!language) {
+            throw new Error(`Unsupported language for ${filePath}. Supported: ${Object.keys(LANGUAGES_BY_EXTENSION).join(', ')}`);
+        }
 
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes(pattern)) {
-                    occurrenceCount++;
-                    if (occurrenceCount === match_occurrence) {
-                        insertIndex = isAfter ? i + 1 : i;
-                        matchedLine = lines[i];
-                        break;
+        if (!this.parsers.has(language.name)) {
+            const parser = new Parser();
+            parser.setLanguage(language.grammar);
+            this.parsers.set(language.name, parser);
+        }
+        return { parser: this.parsers.get(language.name), language: language.name };
+    }
+
+    _parseSource(filePath, source) {
+        const { parser, language } = this._getParser(filePath);
+        // node-tree-sitter rejects inputs larger than its default 32 KB buffer
+        const tree = parser.parse(source, null, { bufferSize: source.length * 2 + 1 });
+        return { tree, language };
+    }
+
+    _nodeSignature(node, bodyNode) {
+        const end = bodyNode ? bodyNode.startIndex : node.endIndex;
+        return node.text.slice(0, end - node.startIndex).replace(/\s+/g, ' ').trim();
+    }
+
+    _extractSymbols(root) {
+        const symbols = [];
+        const imports = [];
+        const exports = [];
+
+        const addSymbol = (node, name, kind, extra = {}, signature = this._nodeSignature(node, node.childForFieldName('body'))) => {
+            const symbol = {
+                name,
+                kind,
+                start_line: node.startPosition.row + 1,
+                end_line: node.endPosition.row + 1,
+                signature,
+                ...extra
+            };
+            // Keep the syntax node for range-based edits without serializing it
+            Object.defineProperty(symbol, 'node', { value: node, enumerable: false });
+            symbols.push(symbol);
+        };
+
+        const visitClass = (node, className, extra) => {
+            addSymbol(node, className, 'class', extra);
+            const body = node.childForFieldName('body');
+            for (const member of body?.namedChildren || []) {
+                if (member.type === 'method_definition') {
+                    const memberName = member.childForFieldName('name')?.text;
+                    addSymbol(member, `${className}.${memberName}`, 'method', { parent: className });
+                } else if (member.type === 'field_definition') {
+                    const memberName = member.childForFieldName('property')?.text;
+                    const value = member.childForFieldName('value');
+                    const isFunction = value && ['arrow_function', 'function_expression', 'function'].includes(value.type);
+                    if (isFunction) {
+                        addSymbol(member, `${className}.${memberName}`, 'method', { parent: className });
                     }
                 }
             }
+        };
 
-            if (insertIndex === -1) {
-                throw new Error(`Pattern "${pattern}" not found`);
-            }
-        } else if (position.relative_to) {
-            const { pattern, offset } = position.relative_to;
-            let found = false;
+        const visitRequire = (declarator) => {
+            const value = declarator.childForFieldName('value');
+            if (value?.type !== 'call_expression' || value.childForFieldName('function')?.text !== 'require') return false;
+            const source = value.childForFieldName('arguments')?.namedChildren[0];
+            if (source?.type !== 'string') return false;
 
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes(pattern)) {
-                    insertIndex = i + offset + (offset >= 0 ? 1 : 0);
-                    matchedLine = lines[i];
-                    found = true;
-                    break;
+            imports.push({
+                source: source.text.slice(1, -1),
+                specifiers: [declarator.childForFieldName('name').text],
+                kind: 'require',
+                line: declarator.startPosition.row + 1
+            });
+            return true;
+        };
+
+        const visitDeclaration = (node, extra = {}) => {
+            switch (node.type) {
+                case 'function_declaration':
+                case 'generator_function_declaration':
+                    addSymbol(node, node.childForFieldName('name').text, 'function', extra);
+                    return [node.childForFieldName('name').text];
+                case 'class_declaration':
+                case 'abstract_class_declaration':
+                    visitClass(node, node.childForFieldName('name').text, extra);
+                    return [node.childForFieldName('name').text];
+                case 'interface_declaration':
+                case 'type_alias_declaration':
+                case 'enum_declaration': {
+                    const name = node.childForFieldName('name').text;
+                    addSymbol(node, name, node.type.replace(/(_alias)?_declaration$/, ''), extra);
+                    return [name];
+                }
+                case 'lexical_declaration':
+                case 'variable_declaration': {
+                    const names = [];
+                    for (const declarator of node.namedChildren) {
+                        if (declarator.type !== 'variable_declarator') continue;
+                        if (visitRequire(declarator)) continue;
+
+                        const name = declarator.childForFieldName('name').text;
+                        const value = declarator.childForFieldName('value');
+                        names.push(name);
+                        if (value && ['arrow_function', 'function_expression', 'function', 'generator_function'].includes(value.type)) {
+                            addSymbol(node, name, 'function', extra, this._nodeSignature(node, value.childForFieldName('body')));
+                        } else if (value && value.type === 'class') {
+                            visitClass(value, name, extra);
+                        } else {
+                            addSymbol(declarator, name, 'variable', extra, `${node.child(0).text} ${name}`);
+                        }
+                    }
+                    return names;
                 }
+                default:
+                    return [];
             }
+        };
 
-            if (!found) {
-                throw new Error(`Pattern "${pattern}" not found`);
+        for (const node of root.namedChildren) {
+            if (node.type === 'import_statement') {
+                const specifiers = [];
+                const clause = node.namedChildren.find(child => child.type === 'import_clause');
+                for (const part of clause?.namedChildren || []) {
+                    if (part.type === 'identifier') specifiers.push(part.text);
+                    else if (part.type === 'namespace_import') specifiers.push(part.text);
+                    else if (part.type === 'named_imports') {
+                        for (const spec of part.namedChildren) {
+                            if (spec.type === 'import_specifier') specifiers.push(spec.text);
+                        }
+                    }
+                }
+                imports.push({
+                    source: node.childForFieldName('source').text.slice(1, -1),
+                    specifiers,
+                    kind: 'import',
+                    line: node.startPosition.row + 1
+                });
+            } else if (node.type === 'export_statement') {
+                const declaration = node.childForFieldName('declaration');
+                const isDefault = node.children.some(child => child.type === 'default');
+                const source = node.childForFieldName('source');
+                const line = node.startPosition.row + 1;
+
+                if (declaration) {
+                    const names = visitDeclaration(declaration, { exported: true });
+                    for (const name of names) {
+                        exports.push({ name: isDefault ? 'default' : name, local: name, line });
+                    }
+                } else if (isDefault) {
+                    const value = node.childForFieldName('value');
+                    exports.push({ name: 'default', local: value?.type === 'identifier' ? value.text : null, line });
+                } else {
+                    const clause = node.namedChildren.find(child => child.type === 'export_clause');
+                    for (const spec of clause?.namedChildren || []) {
+                        const local = spec.childForFieldName('name').text;
+                        const alias = spec.childForFieldName('alias')?.text;
+                        exports.push({ name: alias || local, local, line, ...(source && { source: source.text.slice(1, -1) }) });
+                    }
+                    const namespace = node.namedChildren.find(child => child.type === 'namespace_export');
+                    if (namespace) {
+                        exports.push({ name: namespace.namedChildren[0].text, local: '*', line, source: source.text.slice(1, -1) });
+                    } else if (!clause && source) {
+                        exports.push({ name: '*', local: null, line, source: source.text.slice(1, -1) });
+                    }
+                }
+            } else if (node.type === 'expression_statement') {
+                // CommonJS: module.exports = ... / exports.name = ...
+                const expression = node.namedChildren[0];
+                if (expression?.type !== 'assignment_expression') continue;
+                const target = expression.childForFieldName('left').text;
+                if (target === 'module.exports') {
+                    exports.push({ name: 'default', local: expression.childForFieldName('right').text.split('\n')[0], line: node.startPosition.row + 1, kind: 'commonjs' });
+                } else if (target.startsWith('exports.') || target.startsWith('module.exports.')) {
+                    exports.push({ name: target.split('.').pop(), local: null, line: node.startPosition.row + 1, kind: 'commonjs' });
+                }
+            } else {
+                visitDeclaration(node);
             }
         }
 
-        // Apply indentation
-        let processedContent = content;
-        if (preserve_indentation && matchedLine) {
-            const indent = matchedLine.match(/^(\s*)/)[1];
-            processedContent = content.split('\n')
-                .map((line, i) => i === 0 || !line.trim() ? line : indent + line)
-                .join('\n');
+        // Mark symbols exported through a separate `export { ... }` clause
+        const exportedLocals = new Set(exports.filter(e => !e.source).map(e => e.local));
+        for (const symbol of symbols) {
+            if (!symbol.parent && exportedLocals.has(symbol.name)) symbol.exported = true;
         }
 
-        lines.splice(insertIndex, 0, ...processedContent.split('\n'));
-        await fs.writeFile(safePath, lines.join('\n'), 'utf-8');
+        return { symbols, imports, exports };
+    }
+
+    async getFileSymbols({ file_path, kinds }) {
+        const safePath = this._resolveSandboxPath(file_path);
+        const { content: source } = await this._readTextFile(safePath);
+        const { tree, language } = this._parseSource(safePath, source);
+        const { symbols, imports, exports } = this._extractSymbols(tree.rootNode);
 
         return {
             success: true,
             file_path,
-            inserted_at_line: insertIndex + 1,
-            lines_inserted: processedContent.split('\n').length
+            language,
+            has_syntax_errors: tree.rootNode.hasError,
+            symbols: kinds ? symbols.filter(s => kinds.includes(s.kind)) : symbols,
+            imports,
+            exports
         };
     }
 
-    async readFileContent({ file_path }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        const content = await fs.readFile(safePath, 'utf8');
-        const stats = await fs.stat(safePath);
+    _findSymbol(symbols, symbolPath) {
+        let candidates = symbols.filter(s => s.name === symbolPath);
+        if (!candidates.length) {
+            candidates = symbols.filter(s => s.name.endsWith(`.${symbolPath}`));
+        }
+
+        if (!candidates.length) {
+            const available = symbols.filter(s => s.kind !== 'variable').map(s => s.name);
+            throw new Error(`Symbol '${symbolPath}' not found. Available: ${available.join(', ') || 'none'}`);
+        }
+        if (candidates.length > 1) {
+            const listing = candidates.map(s => `${s.name} (${s.kind}, lines ${s.start_line}-${s.end_line})`).join('; ');
+            throw new Error(`Symbol '${symbolPath}' is ambiguous, ${candidates.length} matches: ${listing}. Use a qualified name like Class.method`);
+        }
+        return candidates[0];
+    }
+
+    _firstSyntaxError(node) {
+        if (node.type === 'ERROR' || node.isMissing) return node;
+        for (const child of node.children) {
+            if (!child.hasError && !child.isMissing) continue;
+            const found = this._firstSyntaxError(child);
+            if (found) return found;
+        }
+        return node;
+    }
+
+    async replaceSymbol({ file_path, symbol, new_code, dry_run = false, expected_hash }) {
+        const safePath = this._resolveSandboxPath(file_path, 'write');
+        const { content, format } = await this._readTextFile(safePath);
+        const { tree } = this._parseSource(safePath, content);
+        const { symbols } = this._extractSymbols(tree.rootNode);
+        const target = this._findSymbol(symbols, symbol);
+
+        // Replacement code that spells out `export` takes the place of the whole export statement
+        let replaced = target.node;
+        if (/^\s*export\b/.test(new_code)) {
+            let ancestor = target.node.parent;
+            while (ancestor && !['export_statement', 'program', 'statement_block', 'class_body'].includes(ancestor.type)) ancestor = ancestor.parent;
+            if (ancestor?.type === 'export_statement') replaced = ancestor;
+        }
+        const { startIndex, endIndex } = replaced;
+
+        // Re-indent the replacement to match the symbol's position in the file
+        const lineStart = content.lastIndexOf('\n', startIndex - 1) + 1;
+        const indent = content.slice(lineStart, startIndex).match(/^\s*/)[0];
+        const newLines = new_code.replace(/^\n+|\s+$/g, '').split('\n');
+        const commonIndent = Math.min(...newLines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+        const replacement = newLines
+            .map((line, idx) => {
+                const dedented = line.slice(commonIndent);
+                if (idx === 0) return dedented;
+                return dedented.trim() ? indent + dedented : '';
+            })
+            .join('\n');
+
+        const newContent = content.slice(0, startIndex) + replacement + content.slice(endIndex);
+
+        const { tree: newTree } = this._parseSource(safePath, newContent);
+        if (newTree.rootNode.hasError && !tree.rootNode.hasError) {
+            const errorNode = this._firstSyntaxError(newTree.rootNode);
+            throw new Error(`replace_symbol aborted: result does not parse (syntax error near line ${errorNode.startPosition.row + 1}). File left unchanged.`);
+        }
 
+        const change = await this._commitFileChange({ safePath, file_path, oldContent: content, newContent, format, dry_run, operation: 'replace_symbol', expected_hash });
+
+        const newStartLine = replaced.startPosition.row + 1;
         return {
             success: true,
             file_path,
-            content,
-            size_bytes: stats.size,
-            lines: content.split('\n').length
+            symbol: target.name,
+            kind: target.kind,
+            replaced_lines: { start: newStartLine, end: replaced.endPosition.row + 1 },
+            new_lines: { start: newStartLine, end: newStartLine + replacement.split('\n').length - 1 },
+            ...change
         };
     }
 
-    async listDirectory({ dir_path = '.', filter, include_hidden = false, max_depth = 1, max_files = 100 }) {
-        const safePath = this._resolveSandboxPath(dir_path);
-        const results = [];
-
-        async function scanDir(currentPath, currentDepth) {
-            if (currentDepth > max_depth || results.length >= max_files) return;
-
-            const entries = await fs.readdir(currentPath, { withFileTypes: true });
-
-            for (const entry of entries) {
-                if (results.length >= max_files) break;
-                if (!include_hidden && entry.name.startsWith('.')) continue;
+    // Code navigation
+    async _projectCodeFiles() {
+        const files = [];
+        for await (const entry of this._walkProject(this.workspace.root)) {
+            if (!entry.dirent.isDirectory() && LANGUAGES_BY_EXTENSION[path.extname(entry.name).toLowerCase()]) files.push(entry.relative);
+        }
+        return files;
+    }
 
-                const fullPath = path.join(currentPath, entry.name);
-                const relativePath = path.relative(safePath, fullPath);
+    _loadCodeModule(modules, file) {
+        // Every lookup in one tool call shares a cache, so each file is read and parsed at most once
+        if (!modules.has(file)) {
+            modules.set(file, (async () => {
+                const safePath = this._resolveSandboxPath(file);
+                const { content, format } = await this._readTextFile(safePath);
+                const { tree } = this._parseSource(safePath, content);
+                const { symbols, exports } = this._extractSymbols(tree.rootNode);
+                return {
+                    file,
+                    content,
+                    format,
+                    lines: content.split('\n'),
+                    root: tree.rootNode,
+                    symbols,
+                    exports: [...exports, ...this._commonjsObjectExports(tree.rootNode)],
+                    bindings: this._importBindings(tree.rootNode)
+                };
+            })());
+        }
+        return modules.get(file);
+    }
 
-                if (filter) {
-                    const pattern = new RegExp(filter.replace(/\*/g, '.*'));
-                    if (!pattern.test(entry.name)) continue;
+    _importBindings(root) {
+        const bindings = [];
+        for (const node of root.namedChildren) {
+            if (node.type === 'import_statement') {
+                const source = node.childForFieldName('source').text.slice(1, -1);
+                const clause = node.namedChildren.find(child => child.type === 'import_clause');
+                for (const part of clause?.namedChildren || []) {
+                    if (part.type === 'identifier') {
+                        bindings.push({ local: part.text, imported: 'default', source, node: part });
+                    } else if (part.type === 'namespace_import') {
+                        const local = part.namedChildren[0];
+                        bindings.push({ local: local.text, imported: '*', source, node: local });
+                    } else if (part.type === 'named_imports') {
+                        for (const spec of part.namedChildren.filter(child => child.type === 'import_specifier')) {
+                            const local = spec.childForFieldName('alias') || spec.childForFieldName('name');
+                            bindings.push({ local: local.text, imported: spec.childForFieldName('name').text, source, node: local });
+                        }
+                    }
+                }
+            } else if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
+                for (const declarator of node.namedChildren.filter(child => child.type === 'variable_declarator')) {
+                    const source = this._requireSource(declarator.childForFieldName('value'));
+                    if (source === null) continue;
+                    const pattern = declarator.childForFieldName('name');
+                    if (pattern.type === 'identifier') {
+                        bindings.push({ local: pattern.text, imported: '*', source, node: pattern, require: true });
+                        continue;
+                    }
+                    for (const part of pattern.type === 'object_pattern' ? pattern.namedChildren : []) {
+                        const local = part.type === 'pair_pattern' ? part.childForFieldName('value')
+                            : part.type === 'object_assignment_pattern' ? part.childForFieldName('left') : part;
+                        const imported = part.type === 'pair_pattern' ? part.childForFieldName('key').text : local.text;
+                        if (['identifier', 'shorthand_property_identifier_pattern'].includes(local?.type)) {
+                            bindings.push({ local: local.text, imported, source, node: local, require: true });
+                        }
+                    }
                 }
+            }
+        }
+        return bindings;
+    }
 
-                const stats = await fs.stat(fullPath);
-                results.push({
-                    name: entry.name,
-                    path: relativePath || '.',
-                    type: entry.isDirectory() ? 'directory' : 'file',
-                    size: stats.size,
-                    modified: stats.mtime
-                });
+    _requireSource(node) {
+        if (node?.type !== 'call_expression' || node.childForFieldName('function')?.text !== 'require') return null;
+        const source = node.childForFieldName('arguments')?.namedChildren[0];
+        return source?.type === 'string' ? source.text.slice(1, -1) : null;
+    }
 
-                if (entry.isDirectory() && currentDepth < max_depth) {
-                    await scanDir(fullPath, currentDepth + 1);
+    _commonjsObjectExports(root) {
+        // module.exports = { a, b: c } exports each property, which _extractSymbols only records as a default export
+        const exports = [];
+        for (const node of root.namedChildren) {
+            const expression = node.type === 'expression_statement' ? node.namedChildren[0] : null;
+            if (expression?.type !== 'assignment_expression' || expression.childForFieldName('left').text !== 'module.exports') continue;
+            const object = expression.childForFieldName('right');
+            for (const property of object.type === 'object' ? object.namedChildren : []) {
+                const line = property.startPosition.row + 1;
+                if (property.type === 'shorthand_property_identifier') {
+                    exports.push({ name: property.text, local: property.text, line, kind: 'commonjs' });
+                } else if (property.type === 'pair') {
+                    const value = property.childForFieldName('value');
+                    exports.push({ name: property.childForFieldName('key').text, local: value.type === 'identifier' ? value.text : null, line, kind: 'commonjs' });
                 }
             }
         }
-
-        await scanDir(safePath, 1);
-        return { success: true, path: dir_path, entries: results, total: results.length };
+        return exports;
     }
 
-    async deleteFile({ file_path }) {
-        const safePath = this._resolveSandboxPath(file_path);
-        await fs.unlink(safePath);
-        return { success: true, file_path };
+    async _resolveImportPath(fromFile, specifier) {
+        // Packages live outside the project's sources; only relative imports are followed
+        if (!specifier.startsWith('.')) return null;
+        const base = path.posix.join(path.posix.dirname(fromFile), specifier);
+        // TypeScript sources are imported under the name of the .js file they compile to
+        const stem = base.replace(/\.[cm]?jsx?$/, '');
+        const extensions = Object.keys(LANGUAGES_BY_EXTENSION);
+        const candidates = [base, ...extensions.map(ext => stem + ext), ...extensions.map(ext => `${base}/index${ext}`)];
+
+        for (const candidate of candidates) {
+            if (!LANGUAGES_BY_EXTENSION[path.extname(candidate).toLowerCase()]) continue;
+            try {
+                if ((await fs.stat(this._resolveSandboxPath(candidate))).isFile()) return candidate;
+            } catch {
+                // Try the next candidate
+            }
+        }
+        return null;
     }
 
-    async moveOrRenameFile({ source_path, destination_path }) {
-        const safeSrc = this._resolveSandboxPath(source_path);
-        const safeDst = this._resolveSandboxPath(destination_path);
-        await fs.mkdir(path.dirname(safeDst), { recursive: true });
-        await fs.rename(safeSrc, safeDst);
-        return { success: true, from: source_path, to: destination_path };
+    _symbolDefinition(module, symbol) {
+        const simpleName = symbol.name.split('.').pop();
+        // The symbol node spans the whole declaration; locate the identifier that names it
+        const queue = [symbol.node];
+        let nameNode = symbol.node;
+        while (queue.length) {
+            const node = queue.shift();
+            if (IDENTIFIER_NODE_TYPES.includes(node.type) && node.text === simpleName) {
+                nameNode = node;
+                break;
+            }
+            queue.push(...node.namedChildren);
+        }
+        return { file: module.file, name: symbol.name, kind: symbol.kind, nameNode, symbol };
     }
 
-    async appendPrependContent({ file_path, content, position, create_if_missing = false }) {
-        const safePath = this._resolveSandboxPath(file_path);
+    async _resolveExport(modules, file, name, seen = new Set()) {
+        // Circular re-exports end here
+        if (seen.has(`${file}#${name}`)) return null;
+        seen.add(`${file}#${name}`);
 
-        let existing = '';
-        try {
-            existing = await fs.readFile(safePath, 'utf8');
-        } catch (error) {
-            if (!create_if_missing || error.code !== 'ENOENT') throw error;
+        const module = await this._loadCodeModule(modules, file);
+        for (const exp of module.exports.filter(e => e.name === name && !e.source)) {
+            if (exp.local && /^[\w$]+$/.test(exp.local)) {
+                const definition = await this._resolveLocal(modules, module, exp.local, seen);
+                if (definition) return definition;
+            }
+            // Anonymous default exports and exports.name = ... are defined at the export itself
+            return { file, name, kind: 'export', line: exp.line };
         }
 
-        const newContent = position === 'prepend' ? content + existing : existing + content;
-        await fs.writeFile(safePath, newContent, 'utf-8');
-
-        return { success: true, file_path, position, bytes_added: Buffer.byteLength(content) };
+        for (const exp of module.exports.filter(e => e.source && (e.name === name || e.name === '*'))) {
+            const target = await this._resolveImportPath(file, exp.source);
+            if (!target) continue;
+            if (exp.local === '*') return { file: target, name, kind: 'module', line: 1 };
+            const definition = await this._resolveExport(modules, target, exp.name === '*' ? name : exp.local, seen);
+            if (definition) return definition;
+        }
+        return null;
     }
 
-    async searchAcrossFiles({ search_text, file_pattern = '*', case_sensitive = true, use_regex = false, max_files = 100, max_matches_per_file = 10, context_lines = 0 }) {
-        const files = await glob(file_pattern, {
-            cwd: SANDBOX_DIR,
-            nodir: true,
-            ignore: ['node_modules/**', '.git/**', '**/*.min.js']
-        });
+    async _resolveLocal(modules, module, name, seen = new Set()) {
+        const symbol = module.symbols.find(s => s.name === name && !s.parent);
+        if (symbol) return this._symbolDefinition(module, symbol);
 
-        const results = [];
-        const filesToSearch = files.slice(0, max_files);
+        const binding = module.bindings.find(b => b.local === name);
+        if (!binding) return null;
+        const target = await this._resolveImportPath(module.file, binding.source);
+        if (!target) return { file: null, name, kind: 'external', module: binding.source, imported: binding.imported };
+        if (binding.imported !== '*') return this._resolveExport(modules, target, binding.imported, seen);
+        // A whole CommonJS module bound with require() stands for whatever module.exports holds
+        return (binding.require && await this._resolveExport(modules, target, 'default', seen)) || { file: target, name, kind: 'module', line: 1 };
+    }
 
-        let searchRegex;
-        if (use_regex) {
-            searchRegex = new RegExp(search_text, case_sensitive ? 'g' : 'gi');
-        } else {
-            const escaped = search_text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            searchRegex = new RegExp(escaped, case_sensitive ? 'g' : 'gi');
+    _patternName(node, name) {
+        if (!node) return null;
+        switch (node.type) {
+            case 'identifier':
+            case 'shorthand_property_identifier_pattern':
+                return node.text === name ? node : null;
+            case 'assignment_pattern':
+            case 'object_assignment_pattern':
+                return this._patternName(node.childForFieldName('left'), name);
+            case 'pair_pattern':
+                return this._patternName(node.childForFieldName('value'), name);
+            case 'required_parameter':
+            case 'optional_parameter':
+                return this._patternName(node.childForFieldName('pattern'), name);
+            case 'formal_parameters':
+            case 'object_pattern':
+            case 'array_pattern':
+            case 'rest_pattern':
+                for (const child of node.namedChildren) {
+                    const found = this._patternName(child, name);
+                    if (found) return found;
+                }
+                return null;
+            default:
+                return null;
         }
+    }
 
-        for (const file of filesToSearch) {
-            const filePath = path.join(SANDBOX_DIR, file);
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const lines = content.split('\n');
-                const fileMatches = [];
-
-                for (let i = 0; i < lines.length && fileMatches.length < max_matches_per_file; i++) {
-                    if (searchRegex.test(lines[i])) {
-                        const match = {
-                            line_number: i + 1,
-                            content: lines[i]
-                        };
-
-                        if (context_lines > 0) {
-                            const start = Math.max(0, i - context_lines);
-                            const end = Math.min(lines.length - 1, i + context_lines);
-                            match.context = lines.slice(start, end + 1).map((l, idx) => ({
-                                line_number: start + idx + 1,
-                                content: l,
-                                is_match: start + idx === i
-                            }));
+    _scopeDeclaration(scope, name) {
+        switch (scope.type) {
+            case 'function_expression':
+            case 'function':
+            case 'generator_function':
+                // A named function expression can refer to itself
+                if (scope.childForFieldName('name')?.text === name) return scope.childForFieldName('name');
+            // falls through
+            case 'function_declaration':
+            case 'generator_function_declaration':
+            case 'arrow_function':
+            case 'method_definition':
+                return this._patternName(scope.childForFieldName('parameters') || scope.childForFieldName('parameter'), name);
+            case 'statement_block':
+                for (const statement of scope.namedChildren) {
+                    if (statement.type === 'lexical_declaration' || statement.type === 'variable_declaration') {
+                        for (const declarator of statement.namedChildren.filter(child => child.type === 'variable_declarator')) {
+                            const found = this._patternName(declarator.childForFieldName('name'), name);
+                            if (found) return found;
                         }
-
-                        fileMatches.push(match);
+                    } else if (statement.type.endsWith('_declaration') && statement.childForFieldName('name')?.text === name) {
+                        return statement.childForFieldName('name');
                     }
-                    searchRegex.lastIndex = 0;
                 }
-
-                if (fileMatches.length > 0) {
-                    results.push({
-                        file_path: file,
-                        matches: fileMatches,
-                        match_count: fileMatches.length
-                    });
+                return null;
+            case 'for_statement': {
+                const initializer = scope.childForFieldName('initializer');
+                const declarators = initializer?.namedChildren.filter(child => child.type === 'variable_declarator') || [];
+                for (const declarator of declarators) {
+                    const found = this._patternName(declarator.childForFieldName('name'), name);
+                    if (found) return found;
                 }
-            } catch (error) {
-                // Skip binary/unreadable files
+                return null;
             }
+            case 'for_in_statement':
+                return scope.children.some(child => ['const', 'let', 'var'].includes(child.type)) ? this._patternName(scope.childForFieldName('left'), name) : null;
+            case 'catch_clause':
+                return this._patternName(scope.childForFieldName('parameter'), name);
+            default:
+                return null;
         }
-
-        return {
-            success: true,
-            search_text,
-            files_searched: filesToSearch.length,
-            files_with_matches: results.length,
-            results
-        };
     }
 
-    async getFileInfo({ file_path, file_paths, include_line_count = false }) {
-        const paths = file_paths || [file_path];
-        const results = [];
-
-        for (const fp of paths) {
-            try {
-                const safePath = this._resolveSandboxPath(fp);
-                const stats = await fs.stat(safePath);
-                const info = {
-                    file_path: fp,
-                    exists: true,
-                    type: stats.isDirectory() ? 'directory' : 'file',
-                    size_bytes: stats.size,
-                    modified: stats.mtime,
-                    created: stats.birthtime
-                };
-
-                if (include_line_count && stats.isFile()) {
-                    try {
-                        const content = await fs.readFile(safePath, 'utf8');
-                        info.line_count = content.split('\n').length;
-                    } catch {
-                        info.line_count = null;
-                    }
-                }
+    _declaringScope(node, name) {
+        // Nearest enclosing function or block that declares the name; null means it is bound at module level
+        for (let scope = node.parent; scope && scope.type !== 'program'; scope = scope.parent) {
+            const nameNode = this._scopeDeclaration(scope, name);
+            if (nameNode) return { scope, nameNode };
+        }
+        return null;
+    }
 
-                results.push(info);
-            } catch (error) {
-                results.push({
-                    file_path: fp,
-                    exists: false,
-                    error: error.message
-                });
+    _enclosingClassName(node) {
+        for (let current = node.parent; current; current = current.parent) {
+            if (['class_declaration', 'abstract_class_declaration', 'class'].includes(current.type)) {
+                return current.childForFieldName('name')?.text || current.parent?.childForFieldName('name')?.text || null;
             }
         }
+        return null;
+    }
 
-        return {
-            success: true,
-            results: file_paths ? results : results[0]
-        };
+    async _methodDefinitions(modules, methodName, files) {
+        const definitions = [];
+        for (const file of files) {
+            let module;
+            try {
+                module = await this._loadCodeModule(modules, file);
+            } catch {
+                continue;
+            }
+            for (const symbol of module.symbols.filter(s => s.parent && s.name === `${s.parent}.${methodName}`)) {
+                definitions.push(this._symbolDefinition(module, symbol));
+            }
+        }
+        return definitions;
     }
 
-    // Shell command execution
-    async executeShellCommand({ command, working_dir = '.', timeout_seconds = 120 }) {
-        this._validateShellCommand(command);
-        const cwd = this._resolveSandboxPath(working_dir);
+    async _resolveIdentifier(modules, module, node, files) {
+        const name = node.text;
+        const parent = node.parent;
 
-        return new Promise((resolve) => {
-            exec(command, {
-                cwd,
-                timeout: timeout_seconds * 1000,
-                maxBuffer: 10 * 1024 * 1024
-            }, (error, stdout, stderr) => {
-                resolve({
-                    success: !error,
-                    exit_code: error?.code || 0,
-                    stdout: stdout || '',
-                    stderr: stderr || '',
-                    command,
-                    working_dir,
-                    timed_out: error?.killed && error?.signal === 'SIGTERM'
-                });
-            });
-        });
-    }
+        if (parent.type === 'import_specifier' || parent.type === 'export_specifier') {
+            let statement = parent;
+            while (!['import_statement', 'export_statement'].includes(statement.type)) statement = statement.parent;
+            const source = statement.childForFieldName('source');
+            const imported = parent.childForFieldName('name').text;
+            if (!source) return [await this._resolveLocal(modules, module, imported)].filter(Boolean);
+            const target = await this._resolveImportPath(module.file, source.text.slice(1, -1));
+            if (!target) return [{ file: null, name, kind: 'external', module: source.text.slice(1, -1), imported }];
+            return [await this._resolveExport(modules, target, imported)].filter(Boolean);
+        }
 
-    // Git operations
-    async gitStatus() {
-        const status = await this.git.status();
-        return { success: true, ...status };
-    }
+        if (node.type === 'property_identifier') {
+            const object = parent.type === 'member_expression' ? parent.childForFieldName('object') : null;
+            if (object?.type === 'identifier' && !this._declaringScope(object, object.text)) {
+                const binding = module.bindings.find(b => b.local === object.text && b.imported === '*');
+                const target = binding && await this._resolveImportPath(module.file, binding.source);
+                if (target) return [await this._resolveExport(modules, target, name)].filter(Boolean);
+            }
 
-    async gitDiff({ staged = false }) {
-        const diff = staged ?
-            await this.git.diff(['--cached']) :
-            await this.git.diff();
-        return { success: true, diff };
-    }
+            // Method names resolve exactly on this and on their own declaration; other receivers match by name
+            const className = (object?.type === 'this' || parent.type === 'method_definition') && this._enclosingClassName(node);
+            const own = className && module.symbols.find(s => s.name === `${className}.${name}`);
+            if (own) return [this._symbolDefinition(module, own)];
+            return this._methodDefinitions(modules, name, files);
+        }
 
-    async gitAdd({ files = ['.'] }) {
-        await this.git.add(files);
-        return { success: true, staged: files };
+        const local = this._declaringScope(node, name);
+        if (local) return [{ file: module.file, name, kind: 'local', nameNode: local.nameNode, scope: local.scope }];
+        return [await this._resolveLocal(modules, module, name)].filter(Boolean);
     }
 
-    async gitCommit({ message, all = false }) {
-        const args = all ? ['-a', '-m', message] : ['-m', message];
-        const result = await this.git.commit(message, all ? { '-a': null } : undefined);
-        return { success: true, ...result };
+    _identifierAt(module, line, column, symbol) {
+        if (column) {
+            const node = module.root.descendantForPosition({ row: line - 1, column: column - 1 });
+            if (!IDENTIFIER_NODE_TYPES.includes(node.type)) {
+                throw new Error(`No identifier at ${module.file}:${line}:${column} (found ${node.type})`);
+            }
+            return node;
+        }
+
+        const stack = [module.root];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node.startPosition.row > line - 1 || node.endPosition.row < line - 1) continue;
+            if (IDENTIFIER_NODE_TYPES.includes(node.type) && node.text === symbol) return node;
+            stack.push(...[...node.namedChildren].reverse());
+        }
+        throw new Error(`'${symbol}' does not appear as an identifier on ${module.file}:${line}`);
     }
 
-    async gitBranch({ create, delete: del, list = true }) {
-        if (create) {
-            await this.git.checkoutLocalBranch(create);
-            return { success: true, created: create };
+    async _findDefinitions(modules, { symbol, file_path, line, column }) {
+        if (!symbol && !(file_path && line)) {
+            throw new Error('Pass symbol, or file_path and line (plus column or symbol) to point at an identifier');
         }
-        if (del) {
-            await this.git.deleteLocalBranch(del);
-            return { success: true, deleted: del };
+        const files = await this._projectCodeFiles();
+        const file = file_path && path.relative(this.workspace.root, this._resolveSandboxPath(file_path)).split(path.sep).join('/');
+
+        if (file && line) {
+            const module = await this._loadCodeModule(modules, file);
+            return this._resolveIdentifier(modules, module, this._identifierAt(module, line, column, symbol), files);
         }
-        const branches = await this.git.branch();
-        return { success: true, ...branches };
-    }
 
-    async gitCheckout({ branch, create = false, file }) {
         if (file) {
-            await this.git.checkout(['--', file]);
-            return { success: true, restored: file };
+            const module = await this._loadCodeModule(modules, file);
+            const qualified = module.symbols.find(s => s.name === symbol);
+            if (qualified) return [this._symbolDefinition(module, qualified)];
+            const definition = await this._resolveLocal(modules, module, symbol);
+            if (definition) return [definition];
+            return symbol.includes('.') ? [] : this._methodDefinitions(modules, symbol, [file]);
         }
-        if (create) {
-            await this.git.checkoutLocalBranch(branch);
-        } else {
-            await this.git.checkout(branch);
+
+        // By name alone: every declaration of it in the project, methods included
+        const definitions = [];
+        for (const candidate of files) {
+            let module;
+            try {
+                module = await this._loadCodeModule(modules, candidate);
+            } catch {
+                continue;
+            }
+            for (const s of module.symbols) {
+                if (s.name === symbol || (!symbol.includes('.') && s.parent && s.name === `${s.parent}.${symbol}`)) {
+                    definitions.push(this._symbolDefinition(module, s));
+                }
+            }
         }
-        return { success: true, branch };
+        return definitions;
     }
 
-    async gitPull({ remote = 'origin', branch }) {
-        const args = branch ? [remote, branch] : [remote];
-        const result = await this.git.pull(...args);
-        return { success: true, ...result };
+    _sameDefinition(a, b) {
+        if (!a || !b || a.file !== b.file) return false;
+        if (a.nameNode || b.nameNode) return a.nameNode?.startIndex === b.nameNode?.startIndex;
+        return a.name === b.name && a.line === b.line;
     }
 
-    async gitPush({ remote = 'origin', branch, set_upstream = false }) {
-        const args = [remote];
-        if (branch) args.push(branch);
-        if (set_upstream) args.unshift('-u');
-
-        const result = await this.git.push(args);
-        return { success: true, pushed: true, remote, branch };
+    _codeLocation(module, node, extra = {}) {
+        return {
+            file_path: module.file,
+            line: node.startPosition.row + 1,
+            column: node.startPosition.column + 1,
+            ...extra,
+            text: module.lines[node.startPosition.row].trim().slice(0, 200)
+        };
     }
 
-    async gitMerge({ branch, no_ff = false }) {
-        const options = no_ff ? { '--no-ff': null } : {};
-        const result = await this.git.merge([branch], options);
-        return { success: true, ...result };
+    _definitionLocation(definition) {
+        if (definition.kind === 'external') {
+            return { name: definition.name, kind: 'external', module: definition.module, imported: definition.imported };
+        }
+        const location = { name: definition.name, kind: definition.kind, file_path: definition.file };
+        if (definition.nameNode) {
+            location.line = definition.nameNode.startPosition.row + 1;
+            location.column = definition.nameNode.startPosition.column + 1;
+        } else {
+            location.line = definition.line;
+        }
+        if (definition.symbol) {
+            location.end_line = definition.symbol.end_line;
+            location.signature = definition.symbol.signature;
+            if (definition.symbol.exported) location.exported = true;
+        }
+        return location;
     }
 
-    async gitStash({ action = 'push', message }) {
-        switch (action) {
-            case 'push':
-                const stashArgs = message ? ['push', '-m', message] : ['push'];
-                await this.git.stash(stashArgs);
-                return { success: true, action: 'pushed' };
-            case 'pop':
-                await this.git.stash(['pop']);
-                return { success: true, action: 'popped' };
-            case 'list':
-                const list = await this.git.stashList();
-                return { success: true, stashes: list.all };
-            default:
-                throw new Error(`Unknown stash action: ${action}`);
+    _referenceKind(node, definition) {
+        if (node.startIndex === definition.nameNode?.startIndex && node.endIndex === definition.nameNode?.endIndex) return 'declaration';
+
+        const parent = node.parent;
+        if (parent.type === 'import_specifier' || parent.type === 'namespace_import' || parent.type === 'import_clause') return 'import';
+        if (parent.type === 'export_specifier') return parent.parent.parent.childForFieldName('source') ? 're-export' : 'export';
+
+        for (let current = parent; current && current.type !== 'program'; current = current.parent) {
+            if (current.type !== 'variable_declarator') continue;
+            const value = current.childForFieldName('value');
+            if (this._requireSource(value) !== null && node.endIndex <= value.startIndex) return 'require';
+            break;
         }
+
+        if ((parent.type === 'call_expression' && this._sameNode(parent.childForFieldName('function'), node)) ||
+            (parent.type === 'new_expression' && this._sameNode(parent.childForFieldName('constructor'), node))) return 'call';
+        const grandparent = parent.parent;
+        if (parent.type === 'member_expression' && this._sameNode(parent.childForFieldName('property'), node) &&
+            ['call_expression', 'new_expression'].includes(grandparent?.type) &&
+            this._sameNode(grandparent.childForFieldName('function') || grandparent.childForFieldName('constructor'), parent)) return 'call';
+        return 'reference';
     }
 
-    async gitLog({ max_count = 10, oneline = false }) {
-        const options = {
-            maxCount: max_count,
-            format: oneline ? { oneline: true } : undefined
-        };
-        const log = await this.git.log(options);
-        return { success: true, commits: log.all };
+    _sameNode(a, b) {
+        return Boolean(a && b && a.startIndex === b.startIndex && a.endIndex === b.endIndex);
     }
 
-    // GitHub operations
-    async createGithubRepo({ repo_name, description, is_private = false }) {
-        if (!GITHUB_TOKEN) {
-            throw new Error('GITHUB_TOKEN not configured in .env file');
+    *_identifierNodes(node) {
+        const stack = [node];
+        while (stack.length) {
+            const current = stack.pop();
+            if (IDENTIFIER_NODE_TYPES.includes(current.type)) yield current;
+            for (let i = current.namedChildCount - 1; i >= 0; i--) stack.push(current.namedChild(i));
+        }
+    }
+
+    async _referencesInFile(modules, module, definition) {
+        const hits = [];
+
+        if (definition.kind === 'local') {
+            for (const node of this._identifierNodes(definition.scope)) {
+                if (node.text !== definition.name || node.type === 'property_identifier') continue;
+                if (this._declaringScope(node, node.text)?.nameNode.startIndex === definition.nameNode.startIndex) hits.push(node);
+            }
+            return hits;
         }
 
-        const octokit = new Octokit({ auth: GITHUB_TOKEN });
-        const response = await octokit.repos.createForAuthenticatedUser({
-            name: repo_name,
-            description,
-            private: is_private
-        });
+        if (definition.symbol?.parent) {
+            // Without type information, any member access with the method's name may call it
+            const [className, methodName] = definition.name.split('.');
+            for (const node of this._identifierNodes(module.root)) {
+                if (node.type !== 'property_identifier' || node.text !== methodName) continue;
+                if (node.parent.type === 'method_definition' || node.parent.type === 'member_expression') {
+                    const ownerClass = (node.parent.type === 'method_definition' || node.parent.childForFieldName('object').type === 'this') && this._enclosingClassName(node);
+                    if (ownerClass && ownerClass !== className && module.symbols.some(s => s.name === `${ownerClass}.${methodName}`)) continue;
+                    if (node.parent.type === 'method_definition' && !(module.file === definition.file && ownerClass === className)) continue;
+                    hits.push(node);
+                }
+            }
+            return hits;
+        }
+
+        // Names bound to the definition in this file, directly or as a namespace holding it
+        const locals = new Set(module.file === definition.file && definition.nameNode ? [definition.nameNode.text] : []);
+        const namespaces = new Map();
+        for (const binding of module.bindings) {
+            const target = await this._resolveImportPath(module.file, binding.source);
+            if (!target) continue;
+            if (binding.imported === '*') {
+                namespaces.set(binding.local, target);
+                if (binding.require && this._sameDefinition(await this._resolveExport(modules, target, 'default'), definition)) locals.add(binding.local);
+            } else if (this._sameDefinition(await this._resolveExport(modules, target, binding.imported), definition)) {
+                locals.add(binding.local);
+            }
+        }
+
+        for (const node of this._identifierNodes(module.root)) {
+            const parent = node.parent;
+            if (node.type === 'property_identifier') {
+                const object = parent.type === 'member_expression' ? parent.childForFieldName('object') : null;
+                const target = object?.type === 'identifier' && namespaces.get(object.text);
+                if (!target || this._declaringScope(object, object.text)) continue;
+                if (this._sameDefinition(await this._resolveExport(modules, target, node.text), definition)) hits.push(node);
+            } else if (parent.type === 'export_specifier' && parent.parent.parent.childForFieldName('source')) {
+                // Re-exports name the definition by its exported name in another module
+                if (!this._sameNode(parent.childForFieldName('name'), node)) continue;
+                const target = await this._resolveImportPath(module.file, parent.parent.parent.childForFieldName('source').text.slice(1, -1));
+                if (target && this._sameDefinition(await this._resolveExport(modules, target, node.text), definition)) hits.push(node);
+            } else if (parent.type === 'import_specifier' && parent.childForFieldName('alias')) {
+                // An aliased import is reported at the imported name, which is the part a rename changes
+                if (this._sameNode(parent.childForFieldName('name'), node) && locals.has(parent.childForFieldName('alias').text)) hits.push(node);
+            } else if (locals.has(node.text) && !this._declaringScope(node, node.text)) {
+                hits.push(node);
+            }
+        }
+        return hits;
+    }
+
+    async findDefinition({ symbol, file_path, line, column }) {
+        const modules = new Map();
+        const definitions = await this._findDefinitions(modules, { symbol, file_path, line, column });
+        if (!definitions.length) {
+            throw new Error(`No definition found for '${symbol || `${file_path}:${line}`}'`);
+        }
 
         return {
             success: true,
-            repo_name,
-            url: response.data.html_url,
-            ssh_url: response.data.ssh_url,
-            clone_url: response.data.clone_url
+            symbol: symbol || definitions[0].name,
+            definitions: definitions.map(d => this._definitionLocation(d))
         };
     }
 
-    // Project analysis
-    async analyzeProject({ max_depth = 3, include_dependencies = true, include_git_info = true }) {
-        const analysis = {
-            project_type: 'unknown',
-            root_path: SANDBOX_DIR,
-            structure: {},
-            entry_points: [],
-            test_files: [],
-            config_files: [],
-            dependencies: null,
-            git_info: null
-        };
+    async _resolveSingleDefinition(modules, selector) {
+        const definitions = await this._findDefinitions(modules, selector);
+        if (!definitions.length) {
+            throw new Error(`No definition found for '${selector.symbol || `${selector.file_path}:${selector.line}`}'`);
+        }
+        if (definitions.length > 1) {
+            const listing = definitions.map(d => `${d.name} (${d.file}:${this._definitionLocation(d).line})`).join('; ');
+            throw new Error(`'${selector.symbol}' has ${definitions.length} definitions: ${listing}. Pass file_path (and line) to pick one`);
+        }
 
-        // Detect project type and dependencies
-        const files = await fs.readdir(SANDBOX_DIR);
+        const definition = definitions[0];
+        if (definition.kind === 'external' || definition.kind === 'module') {
+            throw new Error(`'${definition.name}' refers to a whole module (${definition.module || definition.file}); references are tracked for declarations only`);
+        }
+        return definition;
+    }
 
-        if (files.includes('package.json')) {
-            analysis.project_type = 'node.js';
-            if (include_dependencies) {
-                try {
-                    const pkg = JSON.parse(await fs.readFile(path.join(SANDBOX_DIR, 'package.json'), 'utf8'));
-                    analysis.dependencies = {
-                        prod: Object.keys(pkg.dependencies || {}),
-                        dev: Object.keys(pkg.devDependencies || {})
-                    };
-                    analysis.entry_points.push(pkg.main || 'index.js');
-                    if (pkg.scripts?.test) analysis.test_command = pkg.scripts.test;
-                } catch { }
+    async _definitionReferences(modules, definition) {
+        // Files that never mention the name, an alias it is exported under or (for default exports) its module are skipped unparsed
+        const simpleName = definition.name.split('.').pop();
+        const exportedNames = (await this._loadCodeModule(modules, definition.file)).exports
+            .filter(e => !e.source && (e.local === simpleName || (e.name === simpleName && !e.local)))
+            .map(e => e.name);
+        const moduleStem = path.posix.basename(definition.file).replace(/\.[^.]+$/, '');
+        const files = definition.kind === 'local' ? [definition.file] : await this._projectCodeFiles();
+
+        const references = [];
+        for (const file of files) {
+            let module;
+            try {
+                if (file !== definition.file) {
+                    const text = await fs.readFile(this._resolveSandboxPath(file), 'utf8');
+                    const names = [simpleName, ...exportedNames.map(name => name === 'default' ? moduleStem : name)];
+                    if (!names.some(name => text.includes(name))) continue;
+                }
+                module = await this._loadCodeModule(modules, file);
+            } catch {
+                continue;
             }
-        } else if (files.includes('requirements.txt') || files.includes('setup.py')) {
-            analysis.project_type = 'python';
-            if (include_dependencies && files.includes('requirements.txt')) {
-                try {
-                    const reqs = await fs.readFile(path.join(SANDBOX_DIR, 'requirements.txt'), 'utf8');
-                    analysis.dependencies = reqs.split('\n').filter(l => l && !l.startsWith('#'));
-                } catch { }
+
+            for (const node of await this._referencesInFile(modules, module, definition)) {
+                references.push({ module, node, kind: this._referenceKind(node, definition) });
             }
-        } else if (files.includes('pom.xml')) {
-            analysis.project_type = 'java-maven';
-        } else if (files.includes('build.gradle')) {
-            analysis.project_type = 'java-gradle';
-        } else if (files.includes('Cargo.toml')) {
-            analysis.project_type = 'rust';
-        } else if (files.includes('go.mod')) {
-            analysis.project_type = 'go';
         }
+        return references;
+    }
 
-        // Get directory structure
-        const getStructure = async (dir, depth) => {
-            if (depth > max_depth) return null;
+    async findReferences({ symbol, file_path, line, column, max_results = 500 }) {
+        const modules = new Map();
+        const definition = await this._resolveSingleDefinition(modules, { symbol, file_path, line, column });
+        const references = await this._definitionReferences(modules, definition);
+
+        const buckets = { declarations: [], calls: [], imports: [], references: [] };
+        for (const { module, node, kind } of references.slice(0, max_results)) {
+            if (kind === 'declaration') buckets.declarations.push(this._codeLocation(module, node));
+            else if (kind === 'call') buckets.calls.push(this._codeLocation(module, node));
+            else if (kind === 'reference') buckets.references.push(this._codeLocation(module, node));
+            else buckets.imports.push(this._codeLocation(module, node, { kind }));
+        }
 
-            const entries = await fs.readdir(dir, { withFileTypes: true });
-            const structure = {};
+        return {
+            success: true,
+            symbol: definition.name,
+            definition: this._definitionLocation(definition),
+            // Methods are matched by name on any receiver other than this, since types are not inferred
+            matched_by: definition.symbol?.parent ? 'name' : 'binding',
+            ...buckets,
+            total: references.length,
+            truncated: references.length > max_results
+        };
+    }
 
-            for (const entry of entries) {
-                if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    async renameSymbol({ symbol, file_path, line, column, new_name, dry_run = false }) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(new_name || '') || RESERVED_WORDS.includes(new_name)) {
+            throw new Error(`'${new_name}' is not a valid identifier`);
+        }
 
-                const fullPath = path.join(dir, entry.name);
-                if (entry.isDirectory()) {
-                    structure[entry.name + '/'] = await getStructure(fullPath, depth + 1);
-                } else {
-                    structure[entry.name] = 'file';
+        const modules = new Map();
+        const definition = await this._resolveSingleDefinition(modules, { symbol, file_path, line, column });
+        if (definition.symbol?.parent) {
+            throw new Error(`${definition.name} is a method, and calls on other receivers can only be matched by name. Rename it with find_references and apply_edits instead`);
+        }
+        if (!definition.nameNode) {
+            throw new Error(`${definition.name} has no declaration to rename (${definition.file}:${definition.line})`);
+        }
+        const oldName = definition.nameNode.text;
+        if (new_name === oldName) {
+            throw new Error(`${oldName} is already named ${new_name}`);
+        }
 
-                    // Identify special files
-                    if (entry.name.match(/\.(test|spec)\.(js|ts|py|java)$/)) {
-                        analysis.test_files.push(path.relative(SANDBOX_DIR, fullPath));
-                    }
-                    if (entry.name.match(/^(config|settings|.*rc)\.(json|js|yaml|yml)$/)) {
-                        analysis.config_files.push(path.relative(SANDBOX_DIR, fullPath));
-                    }
-                    if (!analysis.entry_points.length && entry.name.match(/^(index|main|app)\.(js|ts|py|java)$/)) {
-                        analysis.entry_points.push(path.relative(SANDBOX_DIR, fullPath));
-                    }
-                }
+        // Aliased imports keep their local name, so only occurrences spelled like the declaration change
+        const references = (await this._definitionReferences(modules, definition)).filter(r => r.node.text === oldName);
+        const byFile = new Map();
+        for (const reference of references) {
+            const { module, node } = reference;
+            const clash = this._declaringScope(node, new_name) ||
+                (!byFile.has(module.file) && (module.symbols.some(s => s.name === new_name && !s.parent) || module.bindings.some(b => b.local === new_name)));
+            if (clash) {
+                throw new Error(`Renaming to ${new_name} would clash with an existing ${new_name} in ${module.file} near line ${node.startPosition.row + 1}`);
             }
+            if (!byFile.has(module.file)) byFile.set(module.file, { module, edits: [] });
 
-            return structure;
-        };
+            // A shorthand property keeps its key unless it is the export list itself
+            const exportList = node.parent.parent?.type === 'assignment_expression' && node.parent.parent.childForFieldName('left').text === 'module.exports';
+            const replacement = node.type === 'shorthand_property_identifier' && !exportList ? `${oldName}: ${new_name}` : new_name;
+            byFile.get(module.file).edits.push({ start: node.startIndex, end: node.endIndex, replacement });
+        }
 
-        analysis.structure = await getStructure(SANDBOX_DIR, 1);
+        const files = new Map();
+        const formats = new Map();
+        const displayPaths = new Map();
+        for (const { module, edits } of byFile.values()) {
+            const safePath = this._resolveSandboxPath(module.file, 'write');
+            let content = module.content;
+            for (const edit of edits.sort((a, b) => b.start - a.start)) {
+                content = content.slice(0, edit.start) + edit.replacement + content.slice(edit.end);
+            }
 
-        // Get git info
-        if (include_git_info) {
-            try {
-                const status = await this.git.status();
-                const branch = await this.git.branch();
-                analysis.git_info = {
-                    current_branch: branch.current,
-                    branches: branch.all,
-                    modified_files: status.modified.length,
-                    untracked_files: status.not_added.length,
-                    ahead: status.ahead,
-                    behind: status.behind
-                };
-            } catch {
-                analysis.git_info = { initialized: false };
+            const { tree } = this._parseSource(safePath, content);
+            if (tree.rootNode.hasError && !module.root.hasError) {
+                const errorNode = this._firstSyntaxError(tree.rootNode);
+                throw new Error(`rename_symbol aborted: ${module.file} does not parse after the rename (near line ${errorNode.startPosition.row + 1}). No files were changed.`);
             }
+            files.set(safePath, content);
+            formats.set(safePath, module.format);
+            displayPaths.set(safePath, module.file);
         }
 
-        return analysis;
+        const changedFiles = await this._commitFileSet({ files, formats, displayPaths, operation: 'rename_symbol', dry_run });
+        return {
+            success: true,
+            dry_run,
+            symbol: definition.name,
+            new_name,
+            definition: this._definitionLocation(definition),
+            occurrences: references.length,
+            files: changedFiles
+        };
     }
 
     async start() {
         console.error(`🚀 CodeCraft MCP Server v2.0`);
-        console.error(`📁 Working directory: ${SANDBOX_DIR}`);
-        console.error(`🔒 Shell mode: ${SHELL_MODE}`);
+        for (const workspace of this.workspaces.values()) {
+            const label = this.workspaces.size > 1 ? ` [${workspace.name}]` : '';
+            console.error(`📁 Working directory${label}: ${workspace.root}`);
+            console.error(`🔒 Shell mode${label}: ${workspace.shellMode}`);
+            if (workspace.policy) console.error(`📜 Policy${label}: ${workspace.policy.source}`);
+            for (const ignored of workspace.policyIgnored) console.error(`⚠️  Policy${label} cannot widen operator settings, ignoring ${ignored}`);
+            console.error(`🧾 Audit log${label}: ${workspace.auditLog}`);
+        }
         console.error(`🔑 GitHub token: ${GITHUB_TOKEN ? 'configured' : 'not configured'}`);
+        console.error(`↩️  Edit journal: ${JOURNAL_DIR}`);
+
+        // Background jobs run in their own process groups; take them down with us
+        process.on('exit', () => {
+            for (const job of this.jobs.values()) this._killProcessTree(job, 'SIGKILL');
+        });
+        // A crash skips 'exit' handlers, so the journal is removed here as well
+        process.on('uncaughtExceptionMonitor', removeJournal);
+
+        if (MCP_TRANSPORT === 'sse') {
+            await this._startHttp();
+            return;
+        }
+        if (MCP_TRANSPORT !== 'stdio') {
+            throw new Error(`Unknown MCP_TRANSPORT '${MCP_TRANSPORT}'. Use 'stdio' or 'sse'`);
+        }
 
         const transport = new StdioServerTransport();
-        await this.server.connect(transport);
+        await this._createSession().server.connect(transport);
+        // The client closing stdin ends the session; watchers would otherwise keep the process alive
+        process.stdin.once('end', () => process.exit(0));
+    }
+
+    async _startHttp() {
+        if (!MCP_AUTH_TOKEN) {
+            throw new Error('MCP_AUTH_TOKEN must be set to serve MCP over HTTP');
+        }
+        // Compare digests so the check takes the same time whatever the header holds
+        const expectedAuth = createHash('sha256').update(`Bearer ${MCP_AUTH_TOKEN}`).digest();
+        const isAuthorized = (req) =>
+            timingSafeEqual(createHash('sha256').update(req.headers.authorization || '').digest(), expectedAuth);
+
+        const httpServer = http.createServer(async (req, res) => {
+            // A request line such as `GET //x:y` is not a valid URL; it must not throw out of the handler
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch {
+                res.writeHead(400).end('Bad request URL');
+                return;
+            }
+            try {
+                if (req.method === 'GET' && url.pathname === '/health') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'ok' }));
+                    return;
+                }
+                if (!isAuthorized(req)) {
+                    res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+                    return;
+                }
+
+                if (req.method === 'GET' && url.pathname === '/sse') {
+                    const session = this._createSession();
+                    session.transport = new SSEServerTransport('/messages', res);
+                    const { sessionId } = session.transport;
+                    this.sessions.set(sessionId, session);
+                    session.server.onclose = () => {
+                        this.sessions.delete(sessionId);
+                        for (const watcher of session.subscriptions.values()) watcher.close();
+                    };
+                    await session.server.connect(session.transport);
+                    return;
+                }
+
+                if (req.method === 'POST' && url.pathname === '/messages') {
+                    const session = this.sessions.get(url.searchParams.get('sessionId'));
+                    if (!session) {
+                        res.writeHead(404).end('Unknown session');
+                        return;
+                    }
+                    await session.transport.handlePostMessage(req, res);
+                    return;
+                }
+
+                res.writeHead(404).end('Not found');
+            } catch (error) {
+                console.error(`HTTP ${req.method} ${url.pathname} failed: ${error.message}`);
+                if (!res.headersSent) res.writeHead(500).end(error.message);
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(HTTP_PORT, HTTP_HOST, resolve);
+        });
+        console.error(`🌐 Serving MCP over SSE at http://${HTTP_HOST}:${HTTP_PORT}/sse`);
     }
 }
 
+function removeJournal() {
+    rmSync(JOURNAL_DIR, { recursive: true, force: true });
+}
+
 // Start server
 (async () => {
     try {
@@ -1228,7 +6327,11 @@ class CodeCraftMCPServer {
     }
 })();
 
-process.on('SIGINT', () => {
+const shutdown = () => {
     console.error('\n👋 Shutting down gracefully...');
     process.exit(0);
-});
\ No newline at end of file
+};
+
+process.on('exit', removeJournal);
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file